@@ -1,6 +1,294 @@
 const fs = require("fs");
 const path = require("path");
 
+/**
+ * @function compareValues
+ * @description Orders two non-NULL values. Numbers compare numerically, strings
+ * lexically and booleans as false < true; a number and a numeric string are
+ * compared as numbers. A blank string is not numeric, so '' and ' ' do not
+ * equal 0.
+ * @param {any} a - Left value.
+ * @param {any} b - Right value.
+ * @returns {number} Negative, zero, or positive like Array.prototype.sort expects.
+ */
+function compareValues(a, b) {
+  if (typeof a !== typeof b) {
+    const numeric = (value) =>
+      typeof value === "string" && value.trim() === "" ? NaN : Number(value);
+    const numA = numeric(a);
+    const numB = numeric(b);
+    if (!Number.isNaN(numA) && !Number.isNaN(numB)) {
+      a = numA;
+      b = numB;
+    } else {
+      a = String(a);
+      b = String(b);
+    }
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * @function toNumber
+ * @description Reads a value as a number for arithmetic. Numeric strings are
+ * accepted, like in comparisons; anything else is an error.
+ * @param {any} value - Non-NULL operand.
+ * @param {string} operator - Operator being applied, for the error message.
+ * @returns {number} The numeric value.
+ * @throws {Error} If the value is not numeric.
+ */
+function toNumber(value, operator) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    if (!Number.isNaN(number)) return number;
+  }
+  throw new Error(`Operator ${operator} cannot be applied to '${value}'`);
+}
+
+/**
+ * @function divide
+ * @description Shared check for "/" and "%". Division is always exact
+ * (7 / 2 = 3.5): JavaScript numbers cannot tell 10.0 from 10, so integer
+ * division would depend on how a value was written. Use FLOOR() to truncate.
+ * @param {any} a - Dividend.
+ * @param {any} b - Divisor.
+ * @param {string} operator - "/" or "%".
+ * @returns {number} The quotient or remainder.
+ * @throws {Error} On division by zero.
+ */
+function divide(a, b, operator) {
+  const dividend = toNumber(a, operator);
+  const divisor = toNumber(b, operator);
+  if (divisor === 0) throw new Error("Division by zero");
+  return operator === "%" ? dividend % divisor : dividend / divisor;
+}
+
+/**
+ * @constant ArithmeticOperators
+ * @description Value operators for BinaryExpression nodes, applied to non-NULL
+ * operands (any NULL operand makes the result NULL).
+ */
+const ArithmeticOperators = Object.freeze({
+  "+": (a, b) => toNumber(a, "+") + toNumber(b, "+"),
+  "-": (a, b) => toNumber(a, "-") - toNumber(b, "-"),
+  "*": (a, b) => toNumber(a, "*") * toNumber(b, "*"),
+  "/": (a, b) => divide(a, b, "/"),
+  "%": (a, b) => divide(a, b, "%"),
+  "||": (a, b) => String(a) + String(b),
+});
+
+/**
+ * @function sqlTypeOf
+ * @description Names the column type matching a stored value.
+ * @param {any} value - A non-NULL value.
+ * @returns {string|undefined} INT, TEXT or BOOLEAN.
+ */
+const sqlTypeOf = (value) =>
+  ({ number: "INT", string: "TEXT", boolean: "BOOLEAN" }[typeof value]);
+
+/**
+ * @constant TypeConversions
+ * @description Converts a non-NULL value to each column type, for ALTER COLUMN
+ * ... TYPE. A conversion returns undefined when the value has no equivalent:
+ * INT accepts numbers, numeric strings and booleans (as 1/0), BOOLEAN accepts
+ * numbers (non-zero is true) and 'true'/'false', 't'/'f', 'yes'/'no', '1'/'0'.
+ */
+const TypeConversions = Object.freeze({
+  INT: (value) => {
+    if (typeof value === "boolean") return value ? 1 : 0;
+    const number = String(value).trim() === "" ? NaN : Number(value);
+    return Number.isNaN(number) ? undefined : number;
+  },
+  TEXT: (value) => String(value),
+  BOOLEAN: (value) => {
+    if (typeof value === "boolean") return value;
+    if (typeof value === "number") return value !== 0;
+    const text = String(value).trim().toUpperCase();
+    if (["TRUE", "T", "YES", "1"].includes(text)) return true;
+    if (["FALSE", "F", "NO", "0"].includes(text)) return false;
+    return undefined;
+  },
+});
+
+/**
+ * @function normalizeColumn
+ * @description Builds the stored form of a column definition: the lowercase
+ * name and type, plus notNull and default only when they are set.
+ * @param {Object} column - Column definition from the Parser.
+ * @returns {Object} The stored column.
+ */
+function normalizeColumn(column) {
+  const normalized = { name: column.name.toLowerCase(), type: column.type };
+  if (column.notNull) normalized.notNull = true;
+  if (column.default) normalized.default = column.default;
+  return normalized;
+}
+
+/**
+ * @function forEachColumnRef
+ * @description Calls a function for every ColumnRef node of an expression tree,
+ * so CHECK conditions can be inspected and rewritten when columns change.
+ * @param {any} node - Expression AST node, or any value inside one.
+ * @param {Function} fn - Receives each ColumnRef node.
+ */
+function forEachColumnRef(node, fn) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => forEachColumnRef(child, fn));
+  } else if (node && typeof node === "object") {
+    if (node.type === "ColumnRef") fn(node);
+    Object.values(node).forEach((child) => forEachColumnRef(child, fn));
+  }
+}
+
+/**
+ * @function columnOf
+ * @param {Object} ref - A ColumnRef node, possibly qualified ("products.price").
+ * @returns {string} The lowercase column name without its qualifier.
+ */
+const columnOf = (ref) => ref.name.toLowerCase().split(".").pop();
+
+/**
+ * @function scanLikePattern
+ * @description Translates a LIKE pattern into a regular expression source, where
+ * "%" matches any run of characters and "_" exactly one. The escape character
+ * makes the next character literal.
+ * @param {string} pattern - The LIKE pattern.
+ * @param {string} escape - Escape character, or "" for none.
+ * @returns {{source: string, prefix: string}} The anchored regular expression
+ * source, and the literal text every match starts with.
+ * @throws {Error} If the pattern ends with the escape character.
+ */
+function scanLikePattern(pattern, escape) {
+  let source = "";
+  let prefix = "";
+  let literalSoFar = true;
+  for (let i = 0; i < pattern.length; i++) {
+    let char = pattern[i];
+    if (escape && char === escape) {
+      if (i + 1 === pattern.length) {
+        throw new Error("LIKE pattern must not end with escape character");
+      }
+      char = pattern[++i];
+    } else if (char === "%" || char === "_") {
+      source += char === "%" ? "[\\s\\S]*" : "[\\s\\S]";
+      literalSoFar = false;
+      continue;
+    }
+    source += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    if (literalSoFar) prefix += char;
+  }
+  return { source: `^${source}$`, prefix };
+}
+
+/**
+ * @constant AMBIGUOUS
+ * @description Placeholder stored under a bare column name in joined rows when more
+ * than one source has a column of that name, so unqualified references can be rejected.
+ */
+const AMBIGUOUS = Symbol("ambiguous column");
+
+/**
+ * @constant AggregateFunctions
+ * @description Built-in aggregates, folded over each group as
+ * finalize(step(...step(init(), v1)..., vn)). NULL inputs are skipped before
+ * step is called, so an aggregate over only NULLs returns its initial state.
+ * SUM and AVG read their inputs like arithmetic operands (see toNumber).
+ */
+const AggregateFunctions = Object.freeze({
+  COUNT: {
+    init: () => 0,
+    step: (count) => count + 1,
+    finalize: (count) => count,
+  },
+  SUM: {
+    init: () => null,
+    step: (sum, value) =>
+      sum === null ? toNumber(value, "SUM") : sum + toNumber(value, "SUM"),
+    finalize: (sum) => sum,
+  },
+  AVG: {
+    init: () => ({ sum: 0, count: 0 }),
+    step: (state, value) => ({
+      sum: state.sum + toNumber(value, "AVG"),
+      count: state.count + 1,
+    }),
+    finalize: (state) => (state.count === 0 ? null : state.sum / state.count),
+  },
+  MIN: {
+    init: () => null,
+    step: (min, value) =>
+      min === null || compareValues(value, min) < 0 ? value : min,
+    finalize: (min) => min,
+  },
+  MAX: {
+    init: () => null,
+    step: (max, value) =>
+      max === null || compareValues(value, max) > 0 ? value : max,
+    finalize: (max) => max,
+  },
+});
+
+/**
+ * @function shiftedValue
+ * @description Shared implementation of LAG and LEAD: the first argument's value
+ * on the row a given distance away within the partition.
+ * @param {Object} partition - Partition details (see WindowFunctions).
+ * @param {number} direction - -1 to look back (LAG), 1 to look ahead (LEAD).
+ * @param {string} name - Function name, for error messages.
+ * @returns {Array<any>} One value per row of the partition.
+ */
+function shiftedValue(partition, direction, name) {
+  return partition.args.map(([, offset = 1, fallback = null], i) => {
+    if (offset === null) return null;
+    const distance = toNumber(offset, name);
+    if (!Number.isInteger(distance)) {
+      throw new Error(`${name} offset must be an integer`);
+    }
+    const target = partition.args[i + direction * distance];
+    return target ? target[0] : fallback;
+  });
+}
+
+/**
+ * @constant WindowFunctions
+ * @description Ranking and offset functions that can only be used with OVER. Each
+ * computes the values of a whole partition at once from its rows in window order:
+ * args holds the evaluated arguments of every row, and peerGroup/peerStart tell
+ * which rows tie on the window's ORDER BY keys (peers share a rank).
+ */
+const WindowFunctions = Object.freeze({
+  ROW_NUMBER: {
+    minArgs: 0,
+    maxArgs: 0,
+    compute: (partition) => partition.args.map((_, i) => i + 1),
+  },
+  RANK: {
+    minArgs: 0,
+    maxArgs: 0,
+    compute: (partition) => partition.peerStart.map((start) => start + 1),
+  },
+  DENSE_RANK: {
+    minArgs: 0,
+    maxArgs: 0,
+    compute: (partition) => partition.peerGroup.map((group) => group + 1),
+  },
+  // LAG(value[, offset[, default]]) and LEAD(...) read the row offset (default
+  // 1) rows before or after, or return default (NULL) past the partition's edge
+  LAG: {
+    minArgs: 1,
+    maxArgs: 3,
+    compute: (partition) => shiftedValue(partition, -1, "LAG"),
+  },
+  LEAD: {
+    minArgs: 1,
+    maxArgs: 3,
+    compute: (partition) => shiftedValue(partition, 1, "LEAD"),
+  },
+});
+
 /**
  * @class Database
  * @description Core engine for managing in-memory databases, handling table operations,
@@ -14,6 +302,14 @@ class Database {
   constructor() {
     this.databases = new Map();
     this.currentDatabase = null;
+    // Runs nested SELECTs (subqueries); installed by the Interpreter
+    this.subqueryExecutor = null;
+    // Scalar functions by upper-case name; installed by the Interpreter
+    this.functions = new Map();
+    // Cached results of deterministic functions; cleared for every statement
+    this.functionCache = new Map();
+    // Aggregate functions by upper-case name, starting with the built-ins
+    this.aggregates = new Map(Object.entries(AggregateFunctions));
     // Change __dirname to process.cwd()
     this.storagePath = path.join(process.cwd(), "engine_data.json");
     this.logPath = path.join(process.cwd(), "history.log");
@@ -80,7 +376,17 @@ class Database {
         const tableMap = new Map();
         for (let tableName in dbData.tables) {
           const tableData = dbData.tables[tableName];
-          tableMap.set(tableName, { ...tableData, indices: new Map() });
+          // Tables saved before UNIQUE and CHECK constraints have neither list
+          const constraints = {
+            unique: [],
+            checks: [],
+            ...tableData.constraints,
+          };
+          tableMap.set(tableName, {
+            ...tableData,
+            constraints,
+            indices: new Map(),
+          });
         }
         this.databases.set(dbName, { name: dbData.name, tables: tableMap });
       }
@@ -90,272 +396,2632 @@ class Database {
     }
   }
 
-  // ================= DATABASE METHODS =================
+  // ================= EXPRESSION HELPERS =================
 
   /**
-   * @method projectColumns
-   * @description Filters rows to only include the specified columns (SELECT projection).
-   * @param {Array<Object>} data - The dataset to process.
-   * @param {string[]} columns - Array of column names to project.
-   * @returns {Array<Object>} Projected dataset.
+   * @method evaluateExpression
+   * @description Recursively evaluates an expression node against a single row.
+   * Conditions follow SQL three-valued logic: any comparison involving NULL is
+   * UNKNOWN, represented here as null.
+   * @param {Object} expr - Expression AST node produced by the Parser.
+   * @param {Object} row - The row providing column values.
+   * @returns {any} The value of the expression (true, false or null for conditions).
    */
-  projectColumns(data, columns) {
-    if (columns[0] === "*") return data;
-    return data.map((row) => {
-      const projected = {};
-      columns.forEach((col) => {
-        const normalizedCol = col.toLowerCase();
-        projected[normalizedCol] = row[normalizedCol];
-      });
-      return projected;
-    });
+  evaluateExpression(expr, row) {
+    switch (expr.type) {
+      case "Literal":
+        return expr.value;
+
+      case "ColumnRef": {
+        const value = row[expr.name.toLowerCase()];
+        if (value === undefined) {
+          throw new Error(`Unknown column '${expr.name}'`);
+        }
+        if (value === AMBIGUOUS) {
+          throw new Error(`Column '${expr.name}' is ambiguous`);
+        }
+        return value;
+      }
+
+      case "LogicalExpression": {
+        const left = this.toTruthValue(this.evaluateExpression(expr.left, row));
+        if (expr.operator === "AND") {
+          if (left === false) return false;
+          const right = this.toTruthValue(
+            this.evaluateExpression(expr.right, row)
+          );
+          if (right === false) return false;
+          return left === null || right === null ? null : true;
+        }
+        if (left === true) return true;
+        const right = this.toTruthValue(
+          this.evaluateExpression(expr.right, row)
+        );
+        if (right === true) return true;
+        return left === null || right === null ? null : false;
+      }
+
+      case "UnaryExpression": {
+        if (expr.operator === "-") {
+          const operand = this.evaluateExpression(expr.operand, row);
+          return operand === null ? null : -toNumber(operand, "-");
+        }
+        const operand = this.toTruthValue(
+          this.evaluateExpression(expr.operand, row)
+        );
+        return operand === null ? null : !operand;
+      }
+
+      case "BinaryExpression": {
+        const left = this.evaluateExpression(expr.left, row);
+        const right = this.evaluateExpression(expr.right, row);
+        if (left === null || right === null) return null;
+        if (ArithmeticOperators[expr.operator]) {
+          return ArithmeticOperators[expr.operator](left, right);
+        }
+        const order = compareValues(left, right);
+        switch (expr.operator) {
+          case "=":
+            return order === 0;
+          case "!=":
+          case "<>":
+            return order !== 0;
+          case ">":
+            return order > 0;
+          case "<":
+            return order < 0;
+          case ">=":
+            return order >= 0;
+          case "<=":
+            return order <= 0;
+          default:
+            throw new Error(`Unsupported operator: ${expr.operator}`);
+        }
+      }
+
+      case "IsNullExpression": {
+        const isNull = this.evaluateExpression(expr.operand, row) === null;
+        return expr.negated ? !isNull : isNull;
+      }
+
+      case "BetweenExpression": {
+        const value = this.evaluateExpression(expr.operand, row);
+        const low = this.evaluateExpression(expr.low, row);
+        const high = this.evaluateExpression(expr.high, row);
+        const aboveLow =
+          value === null || low === null
+            ? null
+            : compareValues(value, low) >= 0;
+        const belowHigh =
+          value === null || high === null
+            ? null
+            : compareValues(value, high) <= 0;
+
+        let result;
+        if (aboveLow === false || belowHigh === false) result = false;
+        else if (aboveLow === null || belowHigh === null) result = null;
+        else result = true;
+        return expr.negated && result !== null ? !result : result;
+      }
+
+      case "InExpression": {
+        const value = this.evaluateExpression(expr.operand, row);
+        const candidates = expr.subquery
+          ? this.subqueryColumn(expr.subquery, row)
+          : expr.values.map((v) => this.evaluateExpression(v, row));
+
+        let result;
+        if (value === null) {
+          result = null;
+        } else if (
+          candidates.some((c) => c !== null && compareValues(value, c) === 0)
+        ) {
+          result = true;
+        } else {
+          // "x IN (1, NULL)" is UNKNOWN rather than false when x is not 1
+          result = candidates.includes(null) ? null : false;
+        }
+        return expr.negated && result !== null ? !result : result;
+      }
+
+      case "PatternExpression": {
+        const value = this.evaluateExpression(expr.operand, row);
+        const pattern = this.evaluateExpression(expr.pattern, row);
+        if (value === null || pattern === null) return null;
+        const matched = this.patternRegExp(expr, pattern, row).test(
+          String(value)
+        );
+        return expr.negated ? !matched : matched;
+      }
+
+      case "SubqueryExpression": {
+        // Scalar subquery: a single value, or NULL when no row comes back
+        const values = this.subqueryColumn(expr.query, row);
+        if (values.length > 1) {
+          throw new Error(
+            "Subquery used as an expression returned more than one row"
+          );
+        }
+        return values.length === 0 ? null : values[0];
+      }
+
+      case "ExistsExpression":
+        return this.runSubquery(expr.query, row).length > 0;
+
+      case "CaseExpression": {
+        // The simple form compares its operand with each WHEN value, where
+        // NULL never matches; the searched form takes the first true condition
+        const operand = expr.operand
+          ? this.evaluateExpression(expr.operand, row)
+          : null;
+        const branch = expr.branches.find((candidate) => {
+          const when = this.evaluateExpression(candidate.when, row);
+          if (!expr.operand) return this.toTruthValue(when) === true;
+          return (
+            operand !== null &&
+            when !== null &&
+            compareValues(operand, when) === 0
+          );
+        });
+        if (branch) return this.evaluateExpression(branch.then, row);
+        return expr.else ? this.evaluateExpression(expr.else, row) : null;
+      }
+
+      case "Alias":
+        return this.evaluateExpression(expr.expression, row);
+
+      case "WindowFunction": {
+        // Window values are computed by computeWindows() and stored on the row
+        const key = this.expressionName(expr);
+        if (!(key in row)) {
+          throw new Error("Window functions are not allowed in this context");
+        }
+        return row[key];
+      }
+
+      case "FunctionCall": {
+        if (WindowFunctions[expr.name]) {
+          throw new Error(`${expr.name} requires an OVER clause`);
+        }
+        if (!this.aggregates.has(expr.name)) {
+          return this.callFunction(expr, row);
+        }
+        // Aggregates are computed by groupRows() and stored on the grouped row
+        const key = this.expressionName(expr);
+        if (!(key in row)) {
+          throw new Error(
+            `Aggregate function ${expr.name} is not allowed in this context`
+          );
+        }
+        return row[key];
+      }
+
+      default:
+        throw new Error(`Unsupported expression: ${expr.type}`);
+    }
   }
 
   /**
-   * @method createIndex
-   * @description Creates a lookup Map for a specific column to optimize search performance.
-   * @param {string} tableName - The name of the table.
-   * @param {string} columnName - The column to index.
-   * @returns {string} Confirmation message.
+   * @method checkArity
+   * @description Checks the number of arguments passed to a function.
+   * @param {Object} expr - FunctionCall node.
+   * @param {{minArgs: number, maxArgs: number}} fn - The function's definition.
+   * @throws {Error} If too few or too many arguments are given.
    */
-  createIndex(tableName, columnName) {
-    if (!this.currentDatabase) throw new Error("No database selected");
-    const table = this.currentDatabase.tables.get(tableName);
-    if (!table) throw new Error(`Table ${tableName} not found`);
+  checkArity(expr, fn) {
+    if (expr.args.length >= fn.minArgs && expr.args.length <= fn.maxArgs) {
+      return;
+    }
+    const expected =
+      fn.minArgs === fn.maxArgs
+        ? fn.minArgs
+        : fn.maxArgs === Infinity
+        ? `at least ${fn.minArgs}`
+        : `${fn.minArgs} to ${fn.maxArgs}`;
+    throw new Error(
+      `Function ${expr.name} expects ${expected} argument(s), got ${expr.args.length}`
+    );
+  }
 
-    const normalizedCol = columnName.toLowerCase();
-    const index = new Map();
-    table.rows.forEach((row) => {
-      const val = row[normalizedCol];
-      if (!index.has(val)) index.set(val, []);
-      index.get(val).push(row);
-    });
+  /**
+   * @method patternRegExp
+   * @description Builds the regular expression for a LIKE, ILIKE or REGEXP match.
+   * LIKE and ILIKE must match the whole value (ILIKE ignoring case); REGEXP uses
+   * JavaScript syntax and matches anywhere in the value.
+   * @param {Object} expr - PatternExpression node.
+   * @param {any} pattern - The evaluated, non-NULL pattern.
+   * @param {Object} row - The row, for evaluating the ESCAPE character.
+   * @returns {RegExp} The compiled expression.
+   * @throws {Error} If the pattern or escape character is invalid.
+   */
+  patternRegExp(expr, pattern, row) {
+    if (expr.operator === "REGEXP") return new RegExp(String(pattern));
 
-    if (!table.indices) table.indices = new Map();
-    table.indices.set(normalizedCol, index);
-    this.log(`INDEX CREATED: ${tableName}(${normalizedCol})`);
-    return `Index created on ${tableName}(${normalizedCol})`;
+    let escape = "\\";
+    if (expr.escape) {
+      escape = this.evaluateExpression(expr.escape, row);
+      if (escape === null || String(escape).length > 1) {
+        throw new Error("ESCAPE must be a single character");
+      }
+    }
+    const { source } = scanLikePattern(String(pattern), String(escape));
+    return new RegExp(source, expr.operator === "ILIKE" ? "i" : "");
   }
 
   /**
-   * @method createDatabase
-   * @description Creates a new database instance.
-   * @param {string} name - The name of the database.
-   * @returns {string} Confirmation message.
+   * @method callFunction
+   * @description Calls a scalar function from the registry with the evaluated
+   * arguments. Results of functions registered as deterministic are cached for
+   * the rest of the statement.
+   * @param {Object} expr - FunctionCall node.
+   * @param {Object} row - The row providing column values.
+   * @returns {any} The function's result (undefined is returned as NULL).
+   * @throws {Error} If the function is unknown or given the wrong number of arguments.
    */
-  createDatabase(name) {
-    if (this.databases.has(name))
-      throw new Error(`Database '${name}' already exists`);
-    this.databases.set(name, { name, tables: new Map() });
-    this.saveToFile();
-    this.log(`DATABASE CREATED: ${name}`);
-    return `Database '${name}' created successfully`;
+  callFunction(expr, row) {
+    const fn = this.functions.get(expr.name);
+    if (!fn) throw new Error(`Unknown function: ${expr.name}`);
+    if (expr.distinct) {
+      throw new Error(
+        `DISTINCT is only allowed in aggregate functions, not ${expr.name}`
+      );
+    }
+    this.checkArity(expr, fn);
+    const args = expr.args.map((arg) => this.evaluateExpression(arg, row));
+    const invoke = () => {
+      const result = fn.call(...args);
+      return result === undefined ? null : result;
+    };
+    if (!fn.deterministic) return invoke();
+
+    // Deterministic functions run once per distinct argument list
+    if (!this.functionCache.has(expr.name)) {
+      this.functionCache.set(expr.name, new Map());
+    }
+    const cache = this.functionCache.get(expr.name);
+    const key = JSON.stringify(args);
+    if (!cache.has(key)) cache.set(key, invoke());
+    return cache.get(key);
   }
 
   /**
-   * @method useDatabase
-   * @description Switches the current active database context.
-   * @param {string} name - The name of the database to use.
-   * @returns {string} Confirmation message.
+   * @method runSubquery
+   * @description Executes a nested SELECT through the subqueryExecutor installed by
+   * the Interpreter. The current row is passed along so the subquery can reference
+   * the outer query's columns.
+   * @param {Object} query - SelectStatement node.
+   * @param {Object} row - The outer row being evaluated.
+   * @returns {Array<Object>} The subquery's result rows.
    */
-  useDatabase(name) {
-    if (!this.databases.has(name))
-      throw new Error(`Database '${name}' does not exist`);
-    this.currentDatabase = this.databases.get(name);
-    this.log(`SWITCHED TO DATABASE: ${name}`);
-    return `Using database '${name}'`;
+  runSubquery(query, row) {
+    if (!this.subqueryExecutor) {
+      throw new Error("Subqueries are not supported in this context");
+    }
+    return this.subqueryExecutor(query, row);
   }
 
   /**
-   * @method showDatabases
-   * @description Lists all available databases.
-   * @returns {string} Newline-separated database names.
+   * @method subqueryColumn
+   * @description Runs a subquery that must select exactly one column and returns
+   * that column's values, as needed by IN (SELECT ...) and scalar subqueries.
+   * @param {Object} query - SelectStatement node.
+   * @param {Object} row - The outer row being evaluated.
+   * @returns {Array} One value per result row.
    */
-  showDatabases() {
-    const dbNames = Array.from(this.databases.keys());
-    return dbNames.length === 0 ? "No databases found" : dbNames.join("\n");
+  subqueryColumn(query, row) {
+    const columns = this.selectList(query);
+    const isStar = columns.some((item) => item.type === "Star");
+    if (isStar || columns.length !== 1) {
+      throw new Error("Subquery must return exactly one column");
+    }
+    return this.runSubquery(query, row).map(
+      (result) => Object.values(result)[0]
+    );
   }
 
   /**
-   * @method createTable
-   * @description Creates a new table with defined columns and constraints.
-   * @param {string} name - Table name.
-   * @param {Object[]} columns - Array of column definition objects.
-   * @param {Object} [constraints={}] - Primary and Foreign key constraints.
-   * @returns {string} Confirmation message.
+   * @method expressionName
+   * @description Builds the display name of an expression, used as the result
+   * column key (e.g. "name", "count(*)", "sum(orders.price)").
+   * @param {Object} expr - Expression AST node.
+   * @returns {string} Lowercase name of the expression.
    */
-  createTable(name, columns, constraints = {}) {
-    if (!this.currentDatabase) throw new Error("No database selected");
-    const normalizedColumns = columns.map((col) => ({
-      name: col.name.toLowerCase(),
-      type: col.type,
-    }));
+  expressionName(expr) {
+    switch (expr.type) {
+      case "Star":
+        return expr.table ? `${expr.table.toLowerCase()}.*` : "*";
+      case "Alias":
+        return this.expressionName(expr.expression);
+      case "ColumnRef":
+        return expr.name.toLowerCase();
+      case "Literal":
+        if (expr.value === null) return "null";
+        return typeof expr.value === "string"
+          ? `'${expr.value}'`
+          : String(expr.value);
+      case "FunctionCall": {
+        const args = expr.args.map((arg) => this.expressionName(arg));
+        const distinct = expr.distinct ? "distinct " : "";
+        return `${expr.name.toLowerCase()}(${distinct}${args.join(", ")})`;
+      }
+      case "BinaryExpression":
+      case "LogicalExpression":
+        return `${this.expressionName(
+          expr.left
+        )} ${expr.operator.toLowerCase()} ${this.expressionName(expr.right)}`;
+      case "UnaryExpression":
+        return expr.operator === "-"
+          ? `-${this.expressionName(expr.operand)}`
+          : `not ${this.expressionName(expr.operand)}`;
+      case "PatternExpression": {
+        const not = expr.negated ? "not " : "";
+        const escape = expr.escape
+          ? ` escape ${this.expressionName(expr.escape)}`
+          : "";
+        return `${this.expressionName(
+          expr.operand
+        )} ${not}${expr.operator.toLowerCase()} ${this.expressionName(
+          expr.pattern
+        )}${escape}`;
+      }
+      case "WindowFunction": {
+        const clauses = [];
+        if (expr.partitionBy.length > 0) {
+          clauses.push(
+            `partition by ${expr.partitionBy
+              .map((e) => this.expressionName(e))
+              .join(", ")}`
+          );
+        }
+        if (expr.orderBy.length > 0) {
+          clauses.push(
+            `order by ${expr.orderBy
+              .map(
+                (key) =>
+                  `${this.expressionName(
+                    key.expression
+                  )} ${key.direction.toLowerCase()}`
+              )
+              .join(", ")}`
+          );
+        }
+        return `${this.expressionName(expr.function)} over (${clauses.join(
+          " "
+        )})`;
+      }
+      case "CaseExpression": {
+        const parts = ["case"];
+        if (expr.operand) parts.push(this.expressionName(expr.operand));
+        expr.branches.forEach((branch) =>
+          parts.push(
+            `when ${this.expressionName(branch.when)}`,
+            `then ${this.expressionName(branch.then)}`
+          )
+        );
+        if (expr.else) parts.push(`else ${this.expressionName(expr.else)}`);
+        parts.push("end");
+        return parts.join(" ");
+      }
+      case "IsNullExpression":
+        return `${this.expressionName(expr.operand)} is ${
+          expr.negated ? "not " : ""
+        }null`;
+      case "BetweenExpression":
+        return `${this.expressionName(expr.operand)} ${
+          expr.negated ? "not " : ""
+        }between ${this.expressionName(expr.low)} and ${this.expressionName(
+          expr.high
+        )}`;
+      case "InExpression": {
+        const list = expr.subquery
+          ? "subquery"
+          : expr.values.map((value) => this.expressionName(value)).join(", ");
+        return `${this.expressionName(expr.operand)} ${
+          expr.negated ? "not " : ""
+        }in (${list})`;
+      }
+      // Subqueries have no name of their own; selectItemNames() numbers them
+      default:
+        return "?column?";
+    }
+  }
 
-    const normalizedConstraints = {
-      primaryKey: constraints.primaryKey
-        ? constraints.primaryKey.toLowerCase()
-        : null,
-      foreignKeys: (constraints.foreignKeys || []).map((fk) => ({
-        column: fk.column.toLowerCase(),
-        refTable: fk.refTable,
-        refCol: fk.refCol.toLowerCase(),
-      })),
+  /**
+   * @method collectAggregates
+   * @description Walks expression trees and gathers every aggregate call, keyed by name.
+   * @param {Object[]} expressions - Root nodes to search (null entries are skipped).
+   * @returns {Map<string, Object>} Aggregate FunctionCall nodes by expressionName().
+   */
+  collectAggregates(expressions) {
+    const found = new Map();
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      // Aggregates inside a subquery belong to the subquery
+      if (node.type === "SelectStatement") return;
+      // A window's own function is computed per window, not per group
+      if (node.type === "WindowFunction") {
+        return visit([node.function.args, node.partitionBy, node.orderBy]);
+      }
+      if (node.type === "FunctionCall" && this.aggregates.has(node.name)) {
+        found.set(this.expressionName(node), node);
+        return; // aggregates cannot be nested
+      }
+      Object.values(node).forEach(visit);
     };
-
-    this.currentDatabase.tables.set(name, {
-      name,
-      columns: normalizedColumns,
-      constraints: normalizedConstraints,
-      rows: [],
-      indices: new Map(),
-    });
-
-    this.saveToFile();
-    this.log(`TABLE CREATED: ${name} in database ${this.currentDatabase.name}`);
-    return `Table '${name}' created successfully.`;
+    expressions.forEach(visit);
+    return found;
   }
 
   /**
-   * @method showTables
-   * @description Lists all tables in the current active database.
-   * @returns {string} Newline-separated table names.
+   * @method assertGroupedColumns
+   * @description Rejects column references that are neither grouped nor inside an
+   * aggregate, since their value would be ambiguous within a group. Column
+   * references are compared by source, so "u.id" and "id" match when only the
+   * "u" source has an "id" column, but "o.id" does not.
+   * @param {Object[]} expressions - Select list, HAVING and ORDER BY expressions.
+   * @param {Object[]} groupBy - GROUP BY expressions.
+   * @param {Object[]} sources - Source descriptors of the query.
+   * @throws {Error} If an ungrouped column is referenced.
    */
-  showTables() {
-    if (!this.currentDatabase) throw new Error("No database selected");
-    const tableNames = Array.from(this.currentDatabase.tables.keys());
-    return tableNames.length === 0 ? "No tables found" : tableNames.join("\n");
+  assertGroupedColumns(expressions, groupBy, sources) {
+    const qualified = (ref) => {
+      const name = ref.name.toLowerCase();
+      if (name.includes(".")) return name;
+      const owners = sources.filter((source) => source.columns.includes(name));
+      return owners.length === 1 ? `${owners[0].alias}.${name}` : name;
+    };
+    const grouped = new Set(
+      groupBy.map((expr) =>
+        expr.type === "ColumnRef" ? qualified(expr) : this.expressionName(expr)
+      )
+    );
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (node.type === "SelectStatement") return;
+      if (node.type === "WindowFunction") {
+        return visit([node.function.args, node.partitionBy, node.orderBy]);
+      }
+      if (node.type === "FunctionCall" && this.aggregates.has(node.name))
+        return;
+      if (
+        node.type === "ColumnRef"
+          ? grouped.has(qualified(node))
+          : grouped.has(this.expressionName(node))
+      )
+        return;
+      if (node.type === "Star") {
+        throw new Error("SELECT * is not allowed with GROUP BY");
+      }
+      if (node.type === "ColumnRef") {
+        throw new Error(
+          `Column '${node.name}' must appear in the GROUP BY clause or be used in an aggregate function`
+        );
+      }
+      Object.values(node).forEach(visit);
+    };
+    expressions.forEach(visit);
   }
 
   /**
-   * @method insertIntoTable
-   * @description Inserts a new row into a table after validating constraints (PK and FK).
-   * @param {string} tableName - Target table.
-   * @param {Array} values - Array of values to insert.
-   * @returns {string} Confirmation message.
+   * @method groupRows
+   * @description Partitions rows by the GROUP BY key and collapses each partition
+   * into a single row. The grouped row keeps the first member's columns (so grouped
+   * columns can still be referenced) and stores every aggregate result under its
+   * expressionName(). Without GROUP BY the whole input forms one group.
+   * @param {Array<Object>} rows - Filtered input rows.
+   * @param {Object[]} groupBy - GROUP BY expressions (may be empty).
+   * @param {Map<string, Object>} aggregates - Aggregate calls from collectAggregates().
+   * @param {Object} [outerRow=null] - Bound row of the enclosing query.
+   * @returns {Array<Object>} One row per group.
    */
-  insertIntoTable(tableName, values) {
-    if (!this.currentDatabase) throw new Error("No database selected");
-    const table = this.currentDatabase.tables.get(tableName);
-    if (!table) throw new Error(`Table '${tableName}' does not exist`);
-
-    const row = {};
-    table.columns.forEach((col, index) => {
-      const val = values[index];
-      const colName = col.name.toLowerCase();
-      if (table.constraints.primaryKey === colName) {
-        if (table.rows.some((r) => r[colName] === val))
-          throw new Error(`PK Violation: ${val}`);
-      }
-      const fk = table.constraints.foreignKeys.find(
-        (f) => f.column === colName
+  groupRows(rows, groupBy, aggregates, outerRow = null) {
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = JSON.stringify(
+        groupBy.map((expr) => this.evaluateExpression(expr, row))
       );
-      if (fk) {
-        const refTable = this.currentDatabase.tables.get(fk.refTable);
-        if (!refTable || !refTable.rows.some((r) => r[fk.refCol] === val))
-          throw new Error(`FK Violation: ${val}`);
-      }
-      row[colName] = val;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
     });
 
-    table.rows.push(row);
-    this.saveToFile();
-    this.log(`INSERT: 1 row added to ${tableName}`);
-    return "1 row inserted";
+    // An aggregate over an empty input still yields one row (e.g. COUNT(*) = 0)
+    if (groups.size === 0 && groupBy.length === 0) groups.set("[]", []);
+
+    return Array.from(groups.values()).map((members) => {
+      const groupedRow = Object.assign(
+        outerRow ? Object.create(outerRow) : {},
+        members[0]
+      );
+      aggregates.forEach((call, key) => {
+        const accumulator = this.aggregateAccumulator(call);
+        members.forEach(accumulator.add);
+        groupedRow[key] = accumulator.result();
+      });
+      return groupedRow;
+    });
   }
 
   /**
-   * @method selectFromTable
-   * @description Retrieves rows from a table with support for JOINs and WHERE clauses.
-   * @param {string} tableName - Source table.
-   * @param {string[]} columns - Columns to return.
-   * @param {Object} [whereClause] - Filtering logic.
-   * @param {Object} [joinClause] - Joining logic.
-   * @returns {Array<Object>} Resulting dataset.
+   * @method aggregateAccumulator
+   * @description Starts folding rows into an aggregate call. NULL inputs are
+   * skipped, and with DISTINCT so are values already seen.
+   * @param {Object} call - Aggregate FunctionCall node.
+   * @returns {{add: Function, result: Function}} add(row) feeds one row;
+   * result() returns the aggregate over the rows added so far.
+   * @throws {Error} If the call does not have exactly one argument.
    */
-  selectFromTable(tableName, columns, whereClause, joinClause) {
-    if (!this.currentDatabase) throw new Error("No database selected");
-    const leftTable = this.currentDatabase.tables.get(tableName);
-    if (!leftTable) throw new Error(`Table '${tableName}' does not exist`);
-
-    let data = leftTable.rows;
-    if (joinClause) {
-      const rightTable = this.currentDatabase.tables.get(joinClause.table);
-      const joinedData = [];
-      const leftCol = joinClause.leftCol.toLowerCase();
-      const rightCol = joinClause.rightCol.toLowerCase();
-      data.forEach((l) =>
-        rightTable.rows.forEach((r) => {
-          if (l[leftCol] === r[rightCol]) joinedData.push({ ...l, ...r });
-        })
-      );
-      data = joinedData;
+  aggregateAccumulator(call) {
+    if (call.args.length !== 1) {
+      throw new Error(`Aggregate function ${call.name} expects 1 argument`);
     }
-
-    if (whereClause) {
-      const leftKey = whereClause.left.toLowerCase();
-      const { operator, right } = whereClause;
-      data = data.filter((row) => {
-        const val = row[leftKey];
-        switch (operator) {
-          case "=":
-            return val == right;
-          case ">":
-            return val > right;
-          case "<":
-            return val < right;
-          default:
-            return true;
+    const aggregate = this.aggregates.get(call.name);
+    const seen = new Set();
+    let state = aggregate.init();
+    return {
+      add: (row) => {
+        if (call.star) {
+          state = aggregate.step(state, row);
+          return;
         }
-      });
-    }
-    this.log(`SELECT: Query executed on ${tableName}`);
-    return this.projectColumns(data, columns);
+        const value = this.evaluateExpression(call.args[0], row);
+        if (value === null) return;
+        if (call.distinct) {
+          const distinctKey = JSON.stringify(value);
+          if (seen.has(distinctKey)) return;
+          seen.add(distinctKey);
+        }
+        state = aggregate.step(state, value);
+      },
+      result: () => aggregate.finalize(state),
+    };
   }
 
   /**
-   * @method updateTable
-   * @description Updates existing rows in a table based on a WHERE condition.
+   * @method collectWindows
+   * @description Walks expression trees and gathers every window function call,
+   * keyed by name.
+   * @param {Object[]} expressions - Root nodes to search (null entries are skipped).
+   * @returns {Map<string, Object>} WindowFunction nodes by expressionName().
+   */
+  collectWindows(expressions) {
+    const found = new Map();
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (node.type === "SelectStatement") return;
+      if (node.type === "WindowFunction") {
+        found.set(this.expressionName(node), node);
+        return;
+      }
+      Object.values(node).forEach(visit);
+    };
+    expressions.forEach(visit);
+    return found;
+  }
+
+  /**
+   * @method computeWindows
+   * @description Evaluates window functions over the rows that passed WHERE,
+   * GROUP BY and HAVING, storing each result on its row under expressionName().
+   * Rows are split by PARTITION BY and ordered by the window's ORDER BY. An
+   * aggregate with an ORDER BY is a running aggregate over the rows up to and
+   * including the current row's peers; without one it covers the whole partition.
+   * @param {Array<Object>} rows - Rows of the query; updated in place.
+   * @param {Map<string, Object>} windows - Window calls from collectWindows().
+   * @throws {Error} If a function cannot be used as a window function.
+   */
+  computeWindows(rows, windows) {
+    windows.forEach((window, key) => {
+      const call = window.function;
+      const ranking = WindowFunctions[call.name];
+      if (!ranking && !this.aggregates.has(call.name)) {
+        throw new Error(`${call.name} is not a window function`);
+      }
+      if (ranking) this.checkArity(call, ranking);
+
+      const partitions = new Map();
+      rows.forEach((row) => {
+        const partitionKey = JSON.stringify(
+          window.partitionBy.map((expr) => this.evaluateExpression(expr, row))
+        );
+        if (!partitions.has(partitionKey)) partitions.set(partitionKey, []);
+        partitions.get(partitionKey).push(row);
+      });
+
+      partitions.forEach((members) => {
+        const ordered = this.sortRows(members, window.orderBy);
+        // Peers tie on every ORDER BY key (NULLs tie with each other)
+        const orderKeys = ordered.map((row) =>
+          window.orderBy.map((k) => this.evaluateExpression(k.expression, row))
+        );
+        const isPeer = (a, b) =>
+          a.every((value, i) =>
+            value === null || b[i] === null
+              ? value === b[i]
+              : compareValues(value, b[i]) === 0
+          );
+        const peerGroup = [];
+        const peerStart = [];
+        ordered.forEach((_, i) => {
+          if (i > 0 && isPeer(orderKeys[i - 1], orderKeys[i])) {
+            peerGroup.push(peerGroup[i - 1]);
+            peerStart.push(peerStart[i - 1]);
+          } else {
+            peerGroup.push(i === 0 ? 0 : peerGroup[i - 1] + 1);
+            peerStart.push(i);
+          }
+        });
+
+        let values;
+        if (ranking) {
+          const args = ordered.map((row) =>
+            call.args.map((arg) => this.evaluateExpression(arg, row))
+          );
+          values = ranking.compute({ args, peerGroup, peerStart });
+        } else {
+          // Without an ORDER BY all rows are peers, so every row gets the
+          // aggregate of the whole partition
+          const accumulator = this.aggregateAccumulator(call);
+          values = [];
+          ordered.forEach((row, i) => {
+            accumulator.add(row);
+            if (peerGroup[i + 1] !== peerGroup[i]) {
+              const result = accumulator.result();
+              while (values.length <= i) values.push(result);
+            }
+          });
+        }
+        ordered.forEach((row, i) => (row[key] = values[i]));
+      });
+    });
+  }
+
+  /**
+   * @method toTruthValue
+   * @description Converts an evaluated value into SQL truth: true, false, or null (UNKNOWN).
+   * @param {any} value - The evaluated value.
+   * @returns {boolean|null} The truth value.
+   */
+  toTruthValue(value) {
+    if (value === null || value === undefined) return null;
+    return Boolean(value);
+  }
+
+  /**
+   * @method filterRows
+   * @description Scans rows in order, keeping those that match the WHERE clause.
+   * When a limit is given the scan stops as soon as the page is full.
+   * @param {Iterable<Object>} rows - Rows to scan.
+   * @param {Object} [whereClause] - Root expression node.
+   * @param {number|null} [limit=null] - Maximum number of rows to keep.
+   * @param {number} [offset=0] - Number of matching rows to skip first.
+   * @returns {Array<Object>} The matching rows.
+   */
+  filterRows(rows, whereClause, limit = null, offset = 0) {
+    const result = [];
+    let skipped = 0;
+    for (const row of rows) {
+      if (limit !== null && result.length >= limit) break;
+      if (!this.matchesWhere(row, whereClause)) continue;
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      result.push(row);
+    }
+    return result;
+  }
+
+  /**
+   * @method sortRows
+   * @description Returns a sorted copy of the rows for an ORDER BY clause. Keys are
+   * compared left to right; NULLs sort as the largest value (last for ASC, first
+   * for DESC) unless NULLS FIRST/LAST says otherwise. Array.prototype.sort is
+   * stable, so rows with equal keys keep their original order.
+   * @param {Array<Object>} rows - Rows to sort; left untouched.
+   * @param {Object[]} orderBy - Sort keys from the Parser.
+   * @returns {Array<Object>} The sorted rows.
+   */
+  sortRows(rows, orderBy) {
+    // Evaluate every key once per row rather than once per comparison
+    const decorated = rows.map((row) => ({
+      row,
+      keys: orderBy.map((key) => this.evaluateExpression(key.expression, row)),
+    }));
+
+    decorated.sort((a, b) => {
+      for (let i = 0; i < orderBy.length; i++) {
+        const { direction, nulls } = orderBy[i];
+        const left = a.keys[i];
+        const right = b.keys[i];
+        if (left === null && right === null) continue;
+
+        const nullsFirst = nulls ? nulls === "FIRST" : direction === "DESC";
+        if (left === null) return nullsFirst ? -1 : 1;
+        if (right === null) return nullsFirst ? 1 : -1;
+
+        const order = compareValues(left, right);
+        if (order !== 0) return direction === "DESC" ? -order : order;
+      }
+      return 0;
+    });
+
+    return decorated.map((entry) => entry.row);
+  }
+
+  /**
+   * @method matchesWhere
+   * @description Shared predicate used by SELECT, UPDATE and DELETE to decide
+   * whether a row satisfies the WHERE clause.
+   * @param {Object} row - The row to test.
+   * @param {Object} [whereClause] - Root expression node; a missing clause matches every row.
+   * @returns {boolean} True if the row should be included.
+   */
+  matchesWhere(row, whereClause) {
+    if (!whereClause) return true;
+    // UNKNOWN (null) conditions reject the row, just like false
+    return (
+      this.toTruthValue(this.evaluateExpression(whereClause, row)) === true
+    );
+  }
+
+  // ================= DATABASE METHODS =================
+
+  /**
+   * @method resolveTable
+   * @description Finds the table a query reads from. Common table expressions
+   * shadow stored tables of the same name.
+   * @param {string} name - Table name as written in the query.
+   * @param {Map<string, Object>} ctes - Result sets of the WITH clauses in scope.
+   * @returns {Object} The CTE result set or stored table.
+   * @throws {Error} If neither exists.
+   */
+  resolveTable(name, ctes) {
+    const table = ctes.get(name) || this.currentDatabase.tables.get(name);
+    if (!table) throw new Error(`Table '${name}' does not exist`);
+    return table;
+  }
+
+  /**
+   * @method selectList
+   * @description Returns the select list that names a query's output columns. For
+   * a set operation that is the select list of its first SELECT.
+   * @param {Object} query - SelectStatement or SetOperation node.
+   * @returns {Object[]} Select list items.
+   */
+  selectList(query) {
+    let select = query;
+    while (select.type === "SetOperation") select = select.left;
+    return select.columns;
+  }
+
+  /**
+   * @method outputColumnNames
+   * @description Lists the column names of a query result: the keys of its rows,
+   * or, when there are none, the names the select list would produce. Wildcards
+   * cannot be expanded without rows and are left out.
+   * @param {Object[]} selectItems - Select list of the query.
+   * @param {Array<Object>} rows - Query results.
+   * @returns {string[]} Column names, in order.
+   */
+  outputColumnNames(selectItems, rows) {
+    if (rows.length > 0) return Object.keys(rows[0]);
+    return this.selectItemNames(selectItems).filter((name) => name !== null);
+  }
+
+  /**
+   * @method selectItemNames
+   * @description Names the result column of each select list item: its alias, or
+   * the expression's name. When two different expressions share a name (two
+   * subqueries are both "?column?"), the later one gets a number appended
+   * ("?column?2"), so neither result overwrites the other.
+   * @param {Object[]} columns - Select list items.
+   * @returns {Array<string|null>} One name per item, null for wildcards.
+   */
+  selectItemNames(columns) {
+    // Name -> the expression that has it, so repeating an item keeps its name
+    const taken = new Map();
+    return columns.map((item) => {
+      if (item.type === "Star") return null;
+      if (item.type === "Alias") {
+        taken.set(item.alias, null);
+        return item.alias;
+      }
+      const base = this.expressionName(item);
+      const shape = JSON.stringify(item);
+      let name = base;
+      for (let n = 2; taken.has(name) && taken.get(name) !== shape; n++) {
+        name = `${base}${n}`;
+      }
+      taken.set(name, shape);
+      return name;
+    });
+  }
+
+  /**
+   * @method combineResults
+   * @description Applies a set operation to the results of two queries. Rows are
+   * matched by position, and the output uses the left query's column names. UNION,
+   * INTERSECT and EXCEPT return distinct rows; with ALL, duplicates are kept
+   * (UNION ALL), or matched one for one (INTERSECT ALL, EXCEPT ALL). Two NULLs
+   * count as equal here, unlike in comparisons.
+   * @param {string} operator - UNION, INTERSECT or EXCEPT.
+   * @param {{rows: Array<Object>, columns: Object[]}} left - Left rows and select list.
+   * @param {{rows: Array<Object>, columns: Object[]}} right - Right rows and select list.
+   * @param {Object} [options={}] - Additional clauses.
+   * @param {boolean} [options.all=false] - Keep duplicates.
+   * @param {Object[]} [options.orderBy] - Sort keys for the combined result.
+   * @param {number} [options.limit] - Maximum number of rows to return.
+   * @param {number} [options.offset=0] - Number of rows to skip before returning any.
+   * @returns {Array<Object>} The combined rows.
+   * @throws {Error} If the column counts or column types differ.
+   */
+  combineResults(operator, left, right, options = {}) {
+    const { all = false, orderBy = null, limit = null, offset = 0 } = options;
+    // An empty "SELECT *" result does not tell how many columns it has
+    const unknownWidth = (side) =>
+      side.rows.length === 0 && side.columns.some((i) => i.type === "Star");
+    const leftNames = this.outputColumnNames(left.columns, left.rows);
+    const rightNames = this.outputColumnNames(right.columns, right.rows);
+    const names = unknownWidth(left) ? rightNames : leftNames;
+    if (
+      !unknownWidth(left) &&
+      !unknownWidth(right) &&
+      leftNames.length !== rightNames.length
+    ) {
+      throw new Error(
+        `Each ${operator} query must have the same number of columns`
+      );
+    }
+
+    const columnType = (rows, i) => {
+      const row = rows.find((r) => Object.values(r)[i] !== null);
+      return row ? sqlTypeOf(Object.values(row)[i]) : null;
+    };
+    names.forEach((name, i) => {
+      const leftType = columnType(left.rows, i);
+      const rightType = columnType(right.rows, i);
+      if (leftType && rightType && leftType !== rightType) {
+        throw new Error(
+          `${operator} types ${leftType} and ${rightType} cannot be matched`
+        );
+      }
+    });
+
+    // Right rows take the left query's column names
+    const rename = (row) => {
+      const values = Object.values(row);
+      const renamed = {};
+      names.forEach((name, i) => (renamed[name] = values[i]));
+      return renamed;
+    };
+    const keyOf = (row) => JSON.stringify(Object.values(row));
+    const distinct = (rows) => this.distinctRows(rows, Object.values);
+    // How many times each row occurs on the right
+    const counts = new Map();
+    right.rows.forEach((row) => {
+      const key = keyOf(row);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    let rows;
+    if (operator === "UNION") {
+      rows = [...left.rows, ...right.rows.map(rename)];
+    } else if (operator === "INTERSECT") {
+      rows = left.rows.filter((row) => {
+        const key = keyOf(row);
+        if (!counts.get(key)) return false;
+        if (all) counts.set(key, counts.get(key) - 1);
+        return true;
+      });
+    } else {
+      rows = left.rows.filter((row) => {
+        const key = keyOf(row);
+        if (!counts.get(key)) return true;
+        if (all) counts.set(key, counts.get(key) - 1);
+        return false;
+      });
+    }
+    if (!all) rows = distinct(rows);
+
+    if (orderBy) rows = this.sortRows(rows, orderBy);
+    return rows.slice(offset, limit === null ? undefined : offset + limit);
+  }
+
+  /**
+   * @method materializeResultSet
+   * @description Turns query results into a temporary, table-shaped result set
+   * that a later query can read by name (used for WITH). Columns are named by the
+   * explicit list when given, otherwise after the select list, and each row's
+   * values are stored under those names in order.
+   * @param {string} name - Name of the result set.
+   * @param {string[]|null} columnNames - Explicit column names, if any.
+   * @param {Object[]} selectItems - Select list of the query that produced the rows.
+   * @param {Array<Object>} rows - Query results.
+   * @returns {Object} A result set with name, columns and rows like a table.
+   */
+  materializeResultSet(name, columnNames, selectItems, rows) {
+    // "u.name" is exposed as "name", like a column of a real table
+    const unqualified = (key) =>
+      /^\w+\.\w+$/.test(key) ? key.slice(key.indexOf(".") + 1) : key;
+    const names = (
+      columnNames || this.outputColumnNames(selectItems, rows).map(unqualified)
+    ).map((column) => column.toLowerCase());
+
+    const width = rows.length > 0 ? Object.keys(rows[0]).length : names.length;
+    if (width !== names.length) {
+      throw new Error(
+        `WITH query '${name}' has ${width} columns available but ${names.length} columns specified`
+      );
+    }
+
+    return {
+      name,
+      columns: names.map((column) => ({ name: column, type: null })),
+      rows: rows.map((row) => {
+        const values = Object.values(row);
+        const stored = {};
+        names.forEach((column, i) => (stored[column] = values[i]));
+        return stored;
+      }),
+    };
+  }
+
+  /**
+   * @method describeSource
+   * @description Captures the name and column list of a table read by a query.
+   * @param {string} name - Table name as written in the query.
+   * @param {string|null} alias - Alias given in the query, which replaces the name.
+   * @param {Object} table - The table object.
+   * @returns {{alias: string, columns: string[]}} Source descriptor.
+   */
+  describeSource(name, alias, table) {
+    return {
+      alias: (alias || name).toLowerCase(),
+      columns: table.columns.map((col) => col.name),
+    };
+  }
+
+  /**
+   * @method bindRow
+   * @description Combines one row per source into the row that expressions are
+   * evaluated against. Every column is stored as "alias.column"; the bare "column"
+   * key is added too, or marked AMBIGUOUS when several sources share that name. A
+   * null row (the unmatched side of an outer join) contributes NULL for all of its
+   * columns. Inside a subquery the outer query's row is used as the prototype, so
+   * names the subquery does not define resolve to the outer row (correlation).
+   * @param {Object[]} sources - Source descriptors, in join order.
+   * @param {Array<Object|null>} rows - One row (or null) per source.
+   * @param {Object} [outerRow=null] - Bound row of the enclosing query.
+   * @returns {Object} The bound row.
+   */
+  bindRow(sources, rows, outerRow = null) {
+    const bound = outerRow ? Object.create(outerRow) : {};
+    sources.forEach((source, i) => {
+      const row = rows[i];
+      source.columns.forEach((column) => {
+        const value = row && row[column] !== undefined ? row[column] : null;
+        bound[`${source.alias}.${column}`] = value;
+        bound[column] = Object.prototype.hasOwnProperty.call(bound, column)
+          ? AMBIGUOUS
+          : value;
+      });
+    });
+    return bound;
+  }
+
+  /**
+   * @method bindRows
+   * @description Lazily binds each tuple, so a LIMIT without ORDER BY can stop
+   * reading the table as soon as the page is full.
+   * @param {Object[]} sources - Source descriptors, in join order.
+   * @param {Iterable<Array<Object|null>>} tuples - One row (or null) per source.
+   * @param {Object} [outerRow=null] - Bound row of the enclosing query.
+   * @yields {Object} Bound rows.
+   */
+  *bindRows(sources, tuples, outerRow = null) {
+    for (const tuple of tuples) {
+      yield this.bindRow(sources, tuple, outerRow);
+    }
+  }
+
+  /**
+   * @method joinRows
+   * @description Nested-loop join of the tuples built so far with the rows of one
+   * more table. INNER keeps matching pairs only; LEFT, RIGHT and FULL also keep the
+   * unmatched rows of the respective side, padded with null; CROSS keeps every pair.
+   * @param {Array<Array<Object|null>>} tuples - One row per already-joined source.
+   * @param {Object[]} sources - Descriptors for the tuple sources plus the new table.
+   * @param {Object} rightTable - The table being joined.
+   * @param {Object} join - Join clause with joinType and ON condition.
+   * @param {Object} [outerRow=null] - Bound row of the enclosing query.
+   * @returns {Array<Array<Object|null>>} The extended tuples.
+   */
+  joinRows(tuples, sources, rightTable, join, outerRow = null) {
+    const keepLeft = join.joinType === "LEFT" || join.joinType === "FULL";
+    const keepRight = join.joinType === "RIGHT" || join.joinType === "FULL";
+    const matchedRight = new Set();
+    const result = [];
+
+    tuples.forEach((tuple) => {
+      let matched = false;
+      rightTable.rows.forEach((right, index) => {
+        const candidate = [...tuple, right];
+        if (
+          join.on &&
+          !this.matchesWhere(
+            this.bindRow(sources, candidate, outerRow),
+            join.on
+          )
+        )
+          return;
+        matched = true;
+        matchedRight.add(index);
+        result.push(candidate);
+      });
+      if (!matched && keepLeft) result.push([...tuple, null]);
+    });
+
+    if (keepRight) {
+      const missingLeft = sources.slice(0, -1).map(() => null);
+      rightTable.rows.forEach((right, index) => {
+        if (!matchedRight.has(index)) result.push([...missingLeft, right]);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * @method projectColumns
+   * @description Evaluates the select list against each row (SELECT projection).
+   * Each result key is the item's alias or the expression's name, e.g. "name",
+   * "users.id" or "count(*)" (see selectItemNames). Wildcards expand to the columns of every source
+   * ("*") or of one source ("u.*"); a column name shared by several joined
+   * sources is qualified ("users.id", "orders.id") so neither overwrites the other.
+   * @param {Array<Object>} data - The dataset to process.
+   * @param {Object[]} columns - Select list items.
+   * @param {Object[]} sources - Source descriptors, in join order.
+   * @returns {Array<Object>} Projected dataset.
+   */
+  projectColumns(data, columns, sources) {
+    columns
+      .filter((item) => item.type === "Star" && item.table)
+      .forEach((item) => {
+        if (!sources.some((s) => s.alias === item.table.toLowerCase()))
+          throw new Error(`Unknown table '${item.table}' in ${item.table}.*`);
+      });
+
+    const names = this.selectItemNames(columns);
+    return data.map((row) => {
+      const projected = {};
+      columns.forEach((item, i) => {
+        if (item.type === "Star") {
+          sources
+            .filter((s) => !item.table || s.alias === item.table.toLowerCase())
+            .forEach((source) =>
+              source.columns.forEach((column) => {
+                const qualified = `${source.alias}.${column}`;
+                const key = row[column] === AMBIGUOUS ? qualified : column;
+                projected[key] = row[qualified];
+              })
+            );
+        } else if (item.type === "Alias") {
+          projected[names[i]] = this.evaluateExpression(item.expression, row);
+        } else {
+          projected[names[i]] = this.evaluateExpression(item, row);
+        }
+      });
+      return projected;
+    });
+  }
+
+  /**
+   * @method createIndex
+   * @description Creates a lookup Map for a specific column to optimize search performance.
+   * @param {string} tableName - The name of the table.
+   * @param {string} columnName - The column to index.
+   * @param {boolean} [ifNotExists=false] - Do nothing, instead of failing, when
+   * the column is already indexed.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table does not exist, or the index does and
+   * ifNotExists is false.
+   */
+  createIndex(tableName, columnName, ifNotExists = false) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const table = this.currentDatabase.tables.get(tableName);
+    if (!table) throw new Error(`Table ${tableName} not found`);
+
+    const normalizedCol = columnName.toLowerCase();
+    if (!table.indices) table.indices = new Map();
+    if (table.indices.has(normalizedCol)) {
+      const message = `Index on ${tableName}(${normalizedCol}) already exists`;
+      if (ifNotExists) return `${message}, skipping`;
+      throw new Error(message);
+    }
+    table.indices.set(normalizedCol, this.buildIndex(table, normalizedCol));
+    this.log(`INDEX CREATED: ${tableName}(${normalizedCol})`);
+    return `Index created on ${tableName}(${normalizedCol})`;
+  }
+
+  /**
+   * @method dropIndex
+   * @description Removes the index on a column. Queries keep working, scanning
+   * the whole table instead.
+   * @param {string} tableName - The name of the table.
+   * @param {string} columnName - The indexed column.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table or the index does not exist.
+   */
+  dropIndex(tableName, columnName) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const table = this.currentDatabase.tables.get(tableName);
+    if (!table) throw new Error(`Table ${tableName} not found`);
+
+    const normalizedCol = columnName.toLowerCase();
+    if (!table.indices || !table.indices.has(normalizedCol)) {
+      throw new Error(`No index on ${tableName}(${normalizedCol})`);
+    }
+    table.indices.delete(normalizedCol);
+    this.log(`INDEX DROPPED: ${tableName}(${normalizedCol})`);
+    return `Index dropped on ${tableName}(${normalizedCol})`;
+  }
+
+  /**
+   * @method buildIndex
+   * @description Groups the rows of a table by the value of one column.
+   * @param {Object} table - The table object.
+   * @param {string} column - Lowercase column name.
+   * @returns {Map<any, Object[]>} Rows by column value, in table order.
+   */
+  buildIndex(table, column) {
+    const index = new Map();
+    table.rows.forEach((row) => {
+      const val = row[column];
+      if (!index.has(val)) index.set(val, []);
+      index.get(val).push(row);
+    });
+    return index;
+  }
+
+  /**
+   * @method refreshIndices
+   * @description Rebuilds every index of a table after its rows have changed.
+   * @param {Object} table - The table object.
+   */
+  refreshIndices(table) {
+    if (!table.indices) return;
+    table.indices.forEach((_, column) =>
+      table.indices.set(column, this.buildIndex(table, column))
+    );
+  }
+
+  /**
+   * @method indexedRows
+   * @description Uses an index to narrow the rows a query has to scan. A WHERE
+   * clause that requires "column LIKE 'prefix%'" on an indexed column of the
+   * table only needs the rows whose value starts with the literal prefix. The
+   * full WHERE clause is still applied to the rows returned.
+   * @param {Object} table - The table read by the query.
+   * @param {Object} source - Its source descriptor.
+   * @param {Object} [whereClause] - Root expression node.
+   * @param {boolean} qualifiedOnly - Whether bare column names may refer to
+   * other tables (joins), so only "alias.column" can be used.
+   * @returns {Object[]} The candidate rows, in table order.
+   */
+  indexedRows(table, source, whereClause, qualifiedOnly) {
+    if (!table.indices || table.indices.size === 0) return table.rows;
+
+    // Only conditions every matching row must satisfy: the ANDed terms
+    const conditions = [];
+    const collect = (node) => {
+      if (
+        node &&
+        node.type === "LogicalExpression" &&
+        node.operator === "AND"
+      ) {
+        collect(node.left);
+        collect(node.right);
+      } else if (node) {
+        conditions.push(node);
+      }
+    };
+    collect(whereClause);
+
+    for (const condition of conditions) {
+      if (
+        condition.type !== "PatternExpression" ||
+        condition.operator !== "LIKE" ||
+        condition.negated ||
+        condition.escape ||
+        condition.operand.type !== "ColumnRef" ||
+        condition.pattern.type !== "Literal" ||
+        typeof condition.pattern.value !== "string"
+      ) {
+        continue;
+      }
+      const name = condition.operand.name.toLowerCase();
+      const dot = name.indexOf(".");
+      if (dot === -1 ? qualifiedOnly : name.slice(0, dot) !== source.alias) {
+        continue;
+      }
+      const index = table.indices.get(name.slice(dot + 1));
+      const { prefix } = scanLikePattern(condition.pattern.value, "\\");
+      if (!index || prefix === "") continue;
+
+      const candidates = new Set();
+      index.forEach((rows, value) => {
+        if (value !== null && String(value).startsWith(prefix)) {
+          rows.forEach((row) => candidates.add(row));
+        }
+      });
+      return table.rows.filter((row) => candidates.has(row));
+    }
+    return table.rows;
+  }
+
+  /**
+   * @method createDatabase
+   * @description Creates a new database instance.
+   * @param {string} name - The name of the database.
+   * @param {boolean} [ifNotExists=false] - Do nothing, instead of failing, when
+   * the database already exists.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the database exists and ifNotExists is false.
+   */
+  createDatabase(name, ifNotExists = false) {
+    if (this.databases.has(name)) {
+      if (ifNotExists) return `Database '${name}' already exists, skipping`;
+      throw new Error(`Database '${name}' already exists`);
+    }
+    this.databases.set(name, { name, tables: new Map() });
+    this.saveToFile();
+    this.log(`DATABASE CREATED: ${name}`);
+    return `Database '${name}' created successfully`;
+  }
+
+  /**
+   * @method dropDatabase
+   * @description Deletes a database with all of its tables. Dropping the current
+   * database leaves no database selected.
+   * @param {string} name - The name of the database.
+   * @param {boolean} [ifExists=false] - Do nothing, instead of failing, when the
+   * database does not exist.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the database does not exist and ifExists is false.
+   */
+  dropDatabase(name, ifExists = false) {
+    if (!this.databases.has(name)) {
+      if (ifExists) return `Database '${name}' does not exist, skipping`;
+      throw new Error(`Database '${name}' does not exist`);
+    }
+    if (this.currentDatabase === this.databases.get(name)) {
+      this.currentDatabase = null;
+    }
+    this.databases.delete(name);
+    this.saveToFile();
+    this.log(`DATABASE DROPPED: ${name}`);
+    return `Database '${name}' dropped`;
+  }
+
+  /**
+   * @method useDatabase
+   * @description Switches the current active database context.
+   * @param {string} name - The name of the database to use.
+   * @returns {string} Confirmation message.
+   */
+  useDatabase(name) {
+    if (!this.databases.has(name))
+      throw new Error(`Database '${name}' does not exist`);
+    this.currentDatabase = this.databases.get(name);
+    this.log(`SWITCHED TO DATABASE: ${name}`);
+    return `Using database '${name}'`;
+  }
+
+  /**
+   * @method showDatabases
+   * @description Lists all available databases.
+   * @returns {string} Newline-separated database names.
+   */
+  showDatabases() {
+    const dbNames = Array.from(this.databases.keys());
+    return dbNames.length === 0 ? "No databases found" : dbNames.join("\n");
+  }
+
+  /**
+   * @method createTable
+   * @description Creates a new table with defined columns and constraints.
+   * UNIQUE and CHECK constraints without a name get one, e.g. "users_email_key"
+   * or "products_price_check".
+   * @param {string} name - Table name.
+   * @param {Object[]} columns - Array of column definition objects.
+   * @param {Object} [constraints={}] - Primary key, foreign keys, UNIQUE and
+   * CHECK constraints.
+   * @param {boolean} [ifNotExists=false] - Do nothing, instead of failing, when
+   * the table already exists.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table exists and ifNotExists is false.
+   */
+  createTable(name, columns, constraints = {}, ifNotExists = false) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    if (this.currentDatabase.tables.has(name)) {
+      if (ifNotExists) return `Table '${name}' already exists, skipping`;
+      throw new Error(`Table '${name}' already exists`);
+    }
+    const normalizedColumns = columns.map(normalizeColumn);
+
+    const normalizedConstraints = {
+      primaryKey: constraints.primaryKey
+        ? constraints.primaryKey.toLowerCase()
+        : null,
+      foreignKeys: (constraints.foreignKeys || []).map((fk) => ({
+        column: fk.column.toLowerCase(),
+        refTable: fk.refTable,
+        refCol: fk.refCol.toLowerCase(),
+      })),
+      unique: [],
+      checks: [],
+    };
+
+    const table = {
+      name,
+      columns: normalizedColumns,
+      constraints: normalizedConstraints,
+      rows: [],
+      indices: new Map(),
+    };
+    // Added one by one so they are validated and named like ALTER TABLE ADD
+    (constraints.unique || []).forEach((unique) =>
+      this.addUnique(table, unique)
+    );
+    (constraints.checks || []).forEach((check) => this.addCheck(table, check));
+    this.currentDatabase.tables.set(name, table);
+
+    this.saveToFile();
+    this.log(`TABLE CREATED: ${name} in database ${this.currentDatabase.name}`);
+    return `Table '${name}' created successfully.`;
+  }
+
+  /**
+   * @method referencingTables
+   * @description Finds the other tables with a foreign key into a table.
+   * @param {string} name - The referenced table.
+   * @returns {Object[]} The referencing table objects.
+   */
+  referencingTables(name) {
+    return Array.from(this.currentDatabase.tables.values()).filter(
+      (table) =>
+        table.name !== name &&
+        table.constraints.foreignKeys.some((fk) => fk.refTable === name)
+    );
+  }
+
+  /**
+   * @method dropTable
+   * @description Deletes a table with its rows and indices. A table that other
+   * tables reference through foreign keys is only dropped with CASCADE, which
+   * removes those foreign keys (the referencing tables and rows are kept).
+   * @param {string} name - Table name.
+   * @param {boolean} [ifExists=false] - Do nothing, instead of failing, when the
+   * table does not exist.
+   * @param {boolean} [cascade=false] - Also drop foreign keys into the table.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table does not exist, or is referenced without CASCADE.
+   */
+  dropTable(name, ifExists = false, cascade = false) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    if (!this.currentDatabase.tables.has(name)) {
+      if (ifExists) return `Table '${name}' does not exist, skipping`;
+      throw new Error(`Table '${name}' does not exist`);
+    }
+
+    const referencing = this.referencingTables(name);
+    if (referencing.length > 0 && !cascade) {
+      throw new Error(
+        `Cannot drop table '${name}': table '${referencing[0].name}' references it (use CASCADE)`
+      );
+    }
+    referencing.forEach((table) => {
+      table.constraints.foreignKeys = table.constraints.foreignKeys.filter(
+        (fk) => fk.refTable !== name
+      );
+    });
+
+    this.currentDatabase.tables.delete(name);
+    this.saveToFile();
+    this.log(
+      `TABLE DROPPED: ${name} in database ${this.currentDatabase.name}` +
+        (referencing.length > 0
+          ? ` (foreign keys removed from ${referencing
+              .map((t) => t.name)
+              .join(", ")})`
+          : "")
+    );
+    return `Table '${name}' dropped.`;
+  }
+
+  /**
+   * @method truncateTable
+   * @description Deletes every row of a table, keeping its definition and
+   * indices. Refused while rows of another table reference it.
+   * @param {string} name - Table name.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table does not exist or is still referenced.
+   */
+  truncateTable(name) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const table = this.currentDatabase.tables.get(name);
+    if (!table) throw new Error(`Table '${name}' does not exist`);
+
+    const referencing = this.referencingTables(name).find(
+      (other) => other.rows.length > 0
+    );
+    if (referencing) {
+      throw new Error(
+        `Cannot truncate table '${name}': rows of table '${referencing.name}' reference it`
+      );
+    }
+
+    const count = table.rows.length;
+    table.rows = [];
+    this.refreshIndices(table);
+    this.saveToFile();
+    this.log(`TRUNCATE: ${count} rows from ${name}`);
+    return `Table '${name}' truncated, ${count} row(s) deleted`;
+  }
+
+  /**
+   * @method alterTable
+   * @description Applies one ALTER TABLE change, keeping rows, indices and
+   * foreign keys (in this table and in the ones referencing it) consistent.
+   * Every change is validated against the existing rows before anything is
+   * modified.
+   * @param {string} tableName - Table name.
+   * @param {Object} action - The parsed change (AddColumn, DropColumn,
+   * RenameColumn, RenameTable, AlterColumnType, AddPrimaryKey, DropPrimaryKey,
+   * AddForeignKey, DropForeignKey, AddUnique, AddCheck or DropConstraint).
+   * @returns {string} Confirmation message describing the change.
+   * @throws {Error} If the table or a column does not exist, or the change would
+   * break a constraint or cannot be applied to the existing rows.
+   */
+  alterTable(tableName, action) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const table = this.currentDatabase.tables.get(tableName);
+    if (!table) throw new Error(`Table '${tableName}' does not exist`);
+
+    let change;
+    switch (action.type) {
+      case "AddColumn":
+        change = this.addColumn(table, action.column, action.constraints);
+        break;
+      case "DropColumn":
+        change = this.dropColumn(table, action.name);
+        break;
+      case "RenameColumn":
+        change = this.renameColumn(table, action.name, action.newName);
+        break;
+      case "RenameTable":
+        change = this.renameTable(table, action.newName);
+        break;
+      case "AlterColumnType":
+        change = this.alterColumnType(table, action.name, action.dataType);
+        break;
+      case "AddPrimaryKey":
+        change = this.addPrimaryKey(table, action.column);
+        break;
+      case "DropPrimaryKey":
+        change = this.dropPrimaryKey(table);
+        break;
+      case "AddForeignKey":
+        change = this.addForeignKey(table, action.foreignKey);
+        break;
+      case "DropForeignKey":
+        change = this.dropForeignKey(table, action.column);
+        break;
+      case "AddUnique":
+        change = this.addUnique(table, action.constraint);
+        break;
+      case "AddCheck":
+        change = this.addCheck(table, action.constraint);
+        break;
+      case "DropConstraint":
+        change = this.dropConstraint(table, action.name);
+        break;
+      default:
+        throw new Error(`Unknown ALTER TABLE action: ${action.type}`);
+    }
+
+    this.refreshIndices(table);
+    this.saveToFile();
+    this.log(`TABLE ALTERED: ${tableName} (${change})`);
+    return `Table '${tableName}' altered: ${change}.`;
+  }
+
+  /**
+   * @method findColumn
+   * @description Resolves a column name of a table.
+   * @param {Object} table - The table object.
+   * @param {string} name - Column name as written in the query.
+   * @returns {string} The lowercase column name.
+   * @throws {Error} If the table has no such column.
+   */
+  findColumn(table, name) {
+    const column = name.toLowerCase();
+    if (!table.columns.some((col) => col.name === column)) {
+      throw new Error(`Unknown column '${name}' in table '${table.name}'`);
+    }
+    return column;
+  }
+
+  /**
+   * @method foreignKeysInto
+   * @description Lists the foreign keys, of any table in the current database,
+   * that point at one column.
+   * @param {Object} table - The referenced table.
+   * @param {string} column - The referenced column.
+   * @returns {Array<{table: Object, fk: Object}>} Each foreign key with its table.
+   */
+  foreignKeysInto(table, column) {
+    const result = [];
+    this.currentDatabase.tables.forEach((other) =>
+      other.constraints.foreignKeys.forEach((fk) => {
+        if (fk.refTable === table.name && fk.refCol === column) {
+          result.push({ table: other, fk });
+        }
+      })
+    );
+    return result;
+  }
+
+  /**
+   * @method addColumn
+   * @description Appends a column. Existing rows get its DEFAULT value, which
+   * later INSERTs also use when the column is left out, or NULL without one.
+   * The column's own constraints (NOT NULL, UNIQUE, PRIMARY KEY, CHECK) must
+   * hold for the existing rows with that value.
+   * @param {Object} table - The table object.
+   * @param {{name: string, type: string, notNull: boolean, default: Object|null}} column -
+   * The column definition.
+   * @param {Object} [constraints={}] - Constraints declared on the column.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the column already exists or a constraint is violated.
+   */
+  addColumn(table, column, constraints = {}) {
+    const name = column.name.toLowerCase();
+    if (table.columns.some((col) => col.name === name)) {
+      throw new Error(
+        `Column '${name}' already exists in table '${table.name}'`
+      );
+    }
+    const values = table.rows.map(() =>
+      column.default ? this.evaluateExpression(column.default, {}) : null
+    );
+
+    // Built and validated on a copy, so a violation leaves the table as it was
+    const altered = {
+      name: table.name,
+      columns: [...table.columns, normalizeColumn(column)],
+      constraints: {
+        ...table.constraints,
+        unique: [...table.constraints.unique],
+        checks: [...table.constraints.checks],
+      },
+      rows: table.rows.map((row, i) => ({ ...row, [name]: values[i] })),
+    };
+    if (constraints.primaryKey) {
+      this.addPrimaryKey(altered, constraints.primaryKey);
+    }
+    (constraints.unique || []).forEach((unique) =>
+      this.addUnique(altered, unique)
+    );
+    (constraints.checks || []).forEach((check) =>
+      this.addCheck(altered, check)
+    );
+    this.validateRows(altered, altered.rows);
+
+    table.columns = altered.columns;
+    table.constraints = altered.constraints;
+    table.rows.forEach((row, i) => (row[name] = values[i]));
+    return `column '${name}' added`;
+  }
+
+  /**
+   * @method dropColumn
+   * @description Removes a column with its values and index. The primary key,
+   * foreign keys, UNIQUE constraints and CHECK constraints using the column are
+   * dropped with it.
+   * @param {Object} table - The table object.
+   * @param {string} name - Column name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If it is the only column or another foreign key references it.
+   */
+  dropColumn(table, name) {
+    const column = this.findColumn(table, name);
+    if (table.columns.length === 1) {
+      throw new Error(`Cannot drop the only column of table '${table.name}'`);
+    }
+    const reference = this.foreignKeysInto(table, column).find(
+      ({ table: other, fk }) => other !== table || fk.column !== column
+    );
+    if (reference) {
+      throw new Error(
+        `Cannot drop column '${column}': table '${reference.table.name}' references it`
+      );
+    }
+
+    if (table.constraints.primaryKey === column) {
+      table.constraints.primaryKey = null;
+    }
+    table.constraints.foreignKeys = table.constraints.foreignKeys.filter(
+      (fk) => fk.column !== column
+    );
+    table.constraints.unique = table.constraints.unique.filter(
+      (unique) => !unique.columns.includes(column)
+    );
+    table.constraints.checks = table.constraints.checks.filter((check) => {
+      let uses = false;
+      forEachColumnRef(check.expression, (ref) => {
+        if (columnOf(ref) === column) uses = true;
+      });
+      return !uses;
+    });
+    table.columns = table.columns.filter((col) => col.name !== column);
+    table.rows.forEach((row) => delete row[column]);
+    if (table.indices) table.indices.delete(column);
+    return `column '${column}' dropped`;
+  }
+
+  /**
+   * @method renameColumn
+   * @description Renames a column in the table definition, its rows, index and
+   * constraints, and in the foreign keys of other tables that reference it.
+   * @param {Object} table - The table object.
+   * @param {string} name - Current column name.
+   * @param {string} newName - New column name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the new name is already taken.
+   */
+  renameColumn(table, name, newName) {
+    const column = this.findColumn(table, name);
+    const renamed = newName.toLowerCase();
+    if (table.columns.some((col) => col.name === renamed)) {
+      throw new Error(
+        `Column '${renamed}' already exists in table '${table.name}'`
+      );
+    }
+
+    this.foreignKeysInto(table, column).forEach(({ fk }) => {
+      fk.refCol = renamed;
+    });
+    table.constraints.foreignKeys.forEach((fk) => {
+      if (fk.column === column) fk.column = renamed;
+    });
+    if (table.constraints.primaryKey === column) {
+      table.constraints.primaryKey = renamed;
+    }
+    table.constraints.unique.forEach((unique) => {
+      unique.columns = unique.columns.map((c) => (c === column ? renamed : c));
+    });
+    table.constraints.checks.forEach((check) =>
+      forEachColumnRef(check.expression, (ref) => {
+        if (columnOf(ref) !== column) return;
+        const qualifier = ref.name.slice(0, ref.name.lastIndexOf(".") + 1);
+        ref.name = qualifier + renamed;
+      })
+    );
+    table.columns.find((col) => col.name === column).name = renamed;
+    // Rebuilt rather than renamed in place, so keys keep the column order
+    table.rows = table.rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [
+          key === column ? renamed : key,
+          value,
+        ])
+      )
+    );
+    if (table.indices && table.indices.has(column)) {
+      table.indices.delete(column);
+      table.indices.set(renamed, null); // rebuilt by alterTable()
+    }
+    return `column '${column}' renamed to '${renamed}'`;
+  }
+
+  /**
+   * @method renameTable
+   * @description Renames a table, updating the foreign keys that reference it
+   * and the CHECK conditions that qualify columns with the old name.
+   * @param {Object} table - The table object.
+   * @param {string} newName - New table name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If a table with the new name exists.
+   */
+  renameTable(table, newName) {
+    const tables = this.currentDatabase.tables;
+    if (tables.has(newName)) {
+      throw new Error(`Table '${newName}' already exists`);
+    }
+
+    tables.forEach((other) =>
+      other.constraints.foreignKeys.forEach((fk) => {
+        if (fk.refTable === table.name) fk.refTable = newName;
+      })
+    );
+    const oldName = table.name;
+    const qualifier = `${oldName.toLowerCase()}.`;
+    table.constraints.checks.forEach((check) =>
+      forEachColumnRef(check.expression, (ref) => {
+        if (ref.name.toLowerCase().startsWith(qualifier)) {
+          ref.name = `${newName}.${columnOf(ref)}`;
+        }
+      })
+    );
+    tables.delete(oldName);
+    table.name = newName;
+    tables.set(newName, table);
+    return `renamed from '${oldName}' to '${newName}'`;
+  }
+
+  /**
+   * @method alterColumnType
+   * @description Changes the type of a column and converts its existing values
+   * (see TypeConversions). Columns used by a foreign key keep their type, as
+   * both sides of the key have to compare equal.
+   * @param {Object} table - The table object.
+   * @param {string} name - Column name.
+   * @param {string} dataType - New type: INT, TEXT or BOOLEAN.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the type is unknown, the column is part of a foreign key,
+   * a value cannot be converted, or the converted values break a constraint.
+   */
+  alterColumnType(table, name, dataType) {
+    const column = this.findColumn(table, name);
+    const convert = TypeConversions[dataType];
+    if (!convert) throw new Error(`Unknown column type: ${dataType}`);
+    if (
+      table.constraints.foreignKeys.some((fk) => fk.column === column) ||
+      this.foreignKeysInto(table, column).length > 0
+    ) {
+      throw new Error(
+        `Cannot change the type of column '${column}': it is part of a foreign key`
+      );
+    }
+
+    const values = table.rows.map((row) => {
+      const value = row[column];
+      if (value === null) return null;
+      const converted = convert(value);
+      if (converted === undefined) {
+        throw new Error(`Cannot convert '${value}' to ${dataType}`);
+      }
+      return converted;
+    });
+    this.validateRows(
+      table,
+      table.rows.map((row, i) => ({ ...row, [column]: values[i] }))
+    );
+
+    table.rows.forEach((row, i) => (row[column] = values[i]));
+    table.columns.find((col) => col.name === column).type = dataType;
+    return `column '${column}' changed to ${dataType}`;
+  }
+
+  /**
+   * @method addPrimaryKey
+   * @description Makes a column the primary key, once its values are unique.
+   * @param {Object} table - The table object.
+   * @param {string} name - Column name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the table has a primary key or the values repeat.
+   */
+  addPrimaryKey(table, name) {
+    const column = this.findColumn(table, name);
+    if (table.constraints.primaryKey) {
+      throw new Error(`Table '${table.name}' already has a primary key`);
+    }
+    const key = { name: "PRIMARY KEY", columns: [column], primary: true };
+    table.rows.forEach((row) => {
+      if (this.findKeyConflict([key], table.rows, row))
+        throw this.keyViolation(key, row);
+    });
+
+    table.constraints.primaryKey = column;
+    return `primary key (${column}) added`;
+  }
+
+  /**
+   * @method dropPrimaryKey
+   * @description Removes the primary key constraint; the column is kept.
+   * @param {Object} table - The table object.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the table has no primary key.
+   */
+  dropPrimaryKey(table) {
+    const column = table.constraints.primaryKey;
+    if (!column) {
+      throw new Error(`Table '${table.name}' has no primary key`);
+    }
+    table.constraints.primaryKey = null;
+    return `primary key (${column}) dropped`;
+  }
+
+  /**
+   * @method addForeignKey
+   * @description Adds a foreign key, once every existing non-NULL value is found
+   * in the referenced column.
+   * @param {Object} table - The table object.
+   * @param {{column: string, refTable: string, refCol: string}} foreignKey - The
+   * foreign key as parsed.
+   * @returns {string} Description of the change.
+   * @throws {Error} If a table or column does not exist, the column already has
+   * a foreign key, or a value has no match.
+   */
+  addForeignKey(table, foreignKey) {
+    const column = this.findColumn(table, foreignKey.column);
+    const refTable = this.currentDatabase.tables.get(foreignKey.refTable);
+    if (!refTable) {
+      throw new Error(`Table '${foreignKey.refTable}' does not exist`);
+    }
+    const refCol = this.findColumn(refTable, foreignKey.refCol);
+    if (table.constraints.foreignKeys.some((fk) => fk.column === column)) {
+      throw new Error(`Column '${column}' already has a foreign key`);
+    }
+    table.rows.forEach((row) => {
+      const val = row[column];
+      if (val === null) return;
+      if (!refTable.rows.some((r) => r[refCol] === val))
+        throw new Error(`FK Violation: ${val}`);
+    });
+
+    table.constraints.foreignKeys.push({
+      column,
+      refTable: refTable.name,
+      refCol,
+    });
+    return `foreign key (${column}) added`;
+  }
+
+  /**
+   * @method dropForeignKey
+   * @description Removes the foreign key on a column; the column is kept.
+   * @param {Object} table - The table object.
+   * @param {string} name - Column name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the column has no foreign key.
+   */
+  dropForeignKey(table, name) {
+    const column = name.toLowerCase();
+    if (!table.constraints.foreignKeys.some((fk) => fk.column === column)) {
+      throw new Error(
+        `No foreign key on column '${column}' in table '${table.name}'`
+      );
+    }
+    table.constraints.foreignKeys = table.constraints.foreignKeys.filter(
+      (fk) => fk.column !== column
+    );
+    return `foreign key (${column}) dropped`;
+  }
+
+  /**
+   * @method nameConstraint
+   * @description Picks the name of a new UNIQUE or CHECK constraint. Without an
+   * explicit name it is derived from the table and columns, e.g. "users_email_key"
+   * or "products_price_check", with a number appended if that is taken.
+   * @param {Object} table - The table object.
+   * @param {string|null} name - Name given with CONSTRAINT, if any.
+   * @param {string[]} columns - Columns the constraint is on.
+   * @param {string} suffix - "key" for UNIQUE, "check" for CHECK.
+   * @returns {string} The constraint name.
+   * @throws {Error} If the given name is already used in the table.
+   */
+  nameConstraint(table, name, columns, suffix) {
+    const taken = [
+      ...table.constraints.unique,
+      ...table.constraints.checks,
+    ].map((constraint) => constraint.name);
+    if (name) {
+      const lower = name.toLowerCase();
+      if (taken.includes(lower)) {
+        throw new Error(`Constraint '${lower}' already exists`);
+      }
+      return lower;
+    }
+    const base = [table.name.toLowerCase(), ...columns, suffix].join("_");
+    let candidate = base;
+    for (let n = 1; taken.includes(candidate); n++) candidate = `${base}${n}`;
+    return candidate;
+  }
+
+  /**
+   * @method addUnique
+   * @description Adds a UNIQUE constraint, once the existing rows satisfy it.
+   * @param {Object} table - The table object.
+   * @param {{name: string|null, columns: string[]}} unique - The constraint as
+   * parsed.
+   * @returns {string} Description of the change.
+   * @throws {Error} If a column does not exist, the name is taken or values repeat.
+   */
+  addUnique(table, unique) {
+    const columns = unique.columns.map((c) => this.findColumn(table, c));
+    const name = this.nameConstraint(table, unique.name, columns, "key");
+    const key = { name, columns, primary: false };
+    table.rows.forEach((row) => {
+      if (this.findKeyConflict([key], table.rows, row))
+        throw this.keyViolation(key, row);
+    });
+
+    table.constraints.unique.push({ name, columns });
+    return `unique constraint '${name}' added`;
+  }
+
+  /**
+   * @method addCheck
+   * @description Adds a CHECK constraint, once every existing row satisfies it.
+   * @param {Object} table - The table object.
+   * @param {{name: string|null, expression: Object}} check - The constraint as
+   * parsed.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the condition uses an unknown column, the name is taken
+   * or a row fails the condition.
+   */
+  addCheck(table, check) {
+    const columns = [];
+    forEachColumnRef(check.expression, (ref) => {
+      const column = this.findColumn(table, columnOf(ref));
+      if (!columns.includes(column)) columns.push(column);
+    });
+    const name = this.nameConstraint(
+      table,
+      check.name,
+      columns.length === 1 ? columns : [],
+      "check"
+    );
+    const constraint = { name, expression: check.expression };
+    if (table.rows.some((row) => this.failedCheck(table, [constraint], row))) {
+      throw new Error(`CHECK Violation: ${name}`);
+    }
+
+    table.constraints.checks.push(constraint);
+    return `check constraint '${name}' added`;
+  }
+
+  /**
+   * @method dropConstraint
+   * @description Removes a UNIQUE or CHECK constraint by name.
+   * @param {Object} table - The table object.
+   * @param {string} name - Constraint name.
+   * @returns {string} Description of the change.
+   * @throws {Error} If the table has no constraint with that name.
+   */
+  dropConstraint(table, name) {
+    const lower = name.toLowerCase();
+    const { unique, checks } = table.constraints;
+    if (![...unique, ...checks].some((c) => c.name === lower)) {
+      throw new Error(
+        `Constraint '${lower}' does not exist on table '${table.name}'`
+      );
+    }
+    table.constraints.unique = unique.filter((c) => c.name !== lower);
+    table.constraints.checks = checks.filter((c) => c.name !== lower);
+    return `constraint '${lower}' dropped`;
+  }
+
+  /**
+   * @method createTableAs
+   * @description Creates a table from the results of a query (CREATE TABLE ... AS
+   * SELECT) and fills it with them. Columns are named after the select list
+   * ("u.name" becomes "name") and typed after their first non-NULL value; a
+   * column with only NULLs is TEXT.
+   * @param {string} name - New table name.
+   * @param {Object[]} selectItems - Select list of the query.
+   * @param {Array<Object>} rows - Query results.
+   * @param {boolean} [ifNotExists=false] - Do nothing, instead of failing, when
+   * the table already exists.
+   * @returns {string} Confirmation message.
+   * @throws {Error} If the table exists, or the columns cannot be determined or
+   * two share a name.
+   */
+  createTableAs(name, selectItems, rows, ifNotExists = false) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    if (this.currentDatabase.tables.has(name)) {
+      if (ifNotExists) return `Table '${name}' already exists, skipping`;
+      throw new Error(`Table '${name}' already exists`);
+    }
+    if (rows.length === 0 && selectItems.some((i) => i.type === "Star")) {
+      throw new Error(
+        "Cannot infer the columns of an empty SELECT *, list them instead"
+      );
+    }
+    const resultSet = this.materializeResultSet(name, null, selectItems, rows);
+    const columns = resultSet.columns.map((column, i) => {
+      if (resultSet.columns.findIndex((c) => c.name === column.name) !== i) {
+        throw new Error(`Column '${column.name}' specified more than once`);
+      }
+      const sample = resultSet.rows.find((row) => row[column.name] !== null);
+      return {
+        name: column.name,
+        type: sample ? sqlTypeOf(sample[column.name]) : "TEXT",
+      };
+    });
+
+    this.createTable(name, columns);
+    if (rows.length > 0) {
+      this.insertIntoTable(name, null, this.literalRows(rows));
+    }
+    return `Table '${name}' created with ${rows.length} row(s).`;
+  }
+
+  /**
+   * @method showTables
+   * @description Lists all tables in the current active database.
+   * @returns {string} Newline-separated table names.
+   */
+  showTables() {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const tableNames = Array.from(this.currentDatabase.tables.keys());
+    return tableNames.length === 0 ? "No tables found" : tableNames.join("\n");
+  }
+
+  /**
+   * @method uniqueKeys
+   * @description Lists the column sets whose values must be unique in a table:
+   * the primary key, when there is one, and every UNIQUE constraint.
+   * @param {Object} table - The table object.
+   * @returns {Array<{name: string, columns: string[], primary: boolean}>} The keys.
+   */
+  uniqueKeys(table) {
+    const keys = table.constraints.unique.map(({ name, columns }) => ({
+      name,
+      columns,
+      primary: false,
+    }));
+    const primaryKey = table.constraints.primaryKey;
+    return primaryKey
+      ? [{ name: "PRIMARY KEY", columns: [primaryKey], primary: true }, ...keys]
+      : keys;
+  }
+
+  /**
+   * @method findKeyConflict
+   * @description Finds a row that has the same values as a given row on one of
+   * the unique keys. As in SQL, a UNIQUE key containing NULL never conflicts.
+   * @param {Object[]} keys - Keys to compare, from uniqueKeys().
+   * @param {Object[]} rows - Rows to search.
+   * @param {Object} row - The row being checked (skipped if it is in rows).
+   * @returns {{key: Object, row: Object}|null} The first conflict, or null.
+   */
+  findKeyConflict(keys, rows, row) {
+    for (const key of keys) {
+      if (!key.primary && key.columns.some((column) => row[column] === null)) {
+        continue;
+      }
+      const match = rows.find(
+        (other) =>
+          other !== row &&
+          key.columns.every((column) => other[column] === row[column])
+      );
+      if (match) return { key, row: match };
+    }
+    return null;
+  }
+
+  /**
+   * @method keyViolation
+   * @param {Object} key - The violated key, from uniqueKeys().
+   * @param {Object} row - The row repeating its values.
+   * @returns {Error} The error to throw, naming the constraint and the values.
+   */
+  keyViolation(key, row) {
+    if (key.primary) return new Error(`PK Violation: ${row[key.columns[0]]}`);
+    const values = key.columns.map((column) => row[column]).join(", ");
+    return new Error(`UNIQUE Violation: ${key.name} (${values})`);
+  }
+
+  /**
+   * @method checkRowConstraints
+   * @description Checks the NOT NULL columns and CHECK constraints of a table
+   * against one row. A CHECK condition only fails when it is false, so UNKNOWN
+   * (from NULL values) passes, as in SQL.
+   * @param {Object} table - The table object.
+   * @param {Object} row - The row as it would be stored.
+   * @throws {Error} Naming the column or constraint that is violated.
+   */
+  checkRowConstraints(table, row) {
+    table.columns.forEach((col) => {
+      if (col.notNull && row[col.name] === null) {
+        throw new Error(`NOT NULL Violation: column '${col.name}'`);
+      }
+    });
+    const failed = this.failedCheck(table, table.constraints.checks, row);
+    if (failed) throw new Error(`CHECK Violation: ${failed.name}`);
+  }
+
+  /**
+   * @method failedCheck
+   * @param {Object} table - The table the row belongs to.
+   * @param {Object[]} checks - CHECK constraints to evaluate.
+   * @param {Object} row - The row as it would be stored.
+   * @returns {Object|null} The first check whose condition is false, or null.
+   */
+  failedCheck(table, checks, row) {
+    if (checks.length === 0) return null;
+    const source = this.describeSource(table.name, null, table);
+    const bound = this.bindRow([source], [row]);
+    return (
+      checks.find(
+        (check) =>
+          this.toTruthValue(
+            this.evaluateExpression(check.expression, bound)
+          ) === false
+      ) || null
+    );
+  }
+
+  /**
+   * @method validateRows
+   * @description Checks every constraint of a table, except foreign keys,
+   * against a full set of rows, e.g. the rows an ALTER TABLE would produce.
+   * @param {Object} table - The table object (its columns and constraints).
+   * @param {Object[]} rows - The rows to check.
+   * @throws {Error} On the first violation found.
+   */
+  validateRows(table, rows) {
+    const keys = this.uniqueKeys(table);
+    rows.forEach((row) => {
+      this.checkRowConstraints(table, row);
+      const conflict = this.findKeyConflict(keys, rows, row);
+      if (conflict) throw this.keyViolation(conflict.key, row);
+    });
+  }
+
+  /**
+   * @method returnRows
+   * @description Evaluates the RETURNING list of an INSERT, UPDATE or DELETE for
+   * the rows it affects. It runs before the change is applied, so a failing
+   * expression leaves the table untouched, and subqueries see the old contents.
+   * @param {Object} source - Source descriptor of the target table.
+   * @param {Object[]} rows - Affected rows, with the values they end up with.
+   * @param {Object[]} returning - RETURNING select list.
+   * @returns {Array<Object>} One projected row per affected row.
+   */
+  returnRows(source, rows, returning) {
+    return this.projectColumns(
+      rows.map((row) => this.bindRow([source], [row])),
+      returning,
+      [source]
+    );
+  }
+
+  /**
+   * @method literalRows
+   * @description Turns query results into rows for insertIntoTable(), each value
+   * wrapped in a Literal node.
+   * @param {Array<Object>} rows - Query results.
+   * @returns {Array<Object[]>} One array of Literal nodes per row, in column order.
+   */
+  literalRows(rows) {
+    return rows.map((row) =>
+      Object.values(row).map((value) => ({ type: "Literal", value }))
+    );
+  }
+
+  /**
+   * @method insertIntoTable
+   * @description Inserts rows into a table after validating constraints (PK and FK).
+   * Value expressions are evaluated once per row and matched to the listed
+   * columns, or to every column in table order when no list is given; omitted
+   * columns get their DEFAULT, or NULL. Every row is checked before
+   * any is added, so a failing row leaves the table untouched, and the batch is
+   * saved with a single write.
+   *
+   * With an ON CONFLICT clause, a row whose key matches an existing row is either
+   * skipped (DO NOTHING) or turned into an update of that row (DO UPDATE), where
+   * the SET expressions and WHERE condition see the existing row's columns and
+   * the proposed ones as "excluded.column".
    * @param {string} tableName - Target table.
-   * @param {Object} updates - Key-value pairs of updates.
-   * @param {Object} [whereClause] - Condition for which rows to update.
-   * @returns {string} Number of rows updated.
+   * @param {string[]|null} columnNames - Target columns, or null for all columns.
+   * @param {Array<Object[]>} rows - One array of value expressions per row to
+   * insert (see literalRows for rows that are already values).
+   * @param {Object} [onConflict=null] - Parsed ON CONFLICT clause.
+   * @param {Object[]} [returning=null] - RETURNING select list.
+   * @returns {string|Array<Object>} Confirmation message, with the number of
+   * updated rows too when ON CONFLICT is given, or the RETURNING list evaluated
+   * for each inserted or updated row.
+   * @throws {Error} If a column is unknown or repeated, a row has the wrong
+   * number of values, a constraint is violated, or ON CONFLICT DO UPDATE would
+   * change the same row twice.
    */
-  updateTable(tableName, updates, whereClause = null) {
+  insertIntoTable(
+    tableName,
+    columnNames,
+    rows,
+    onConflict = null,
+    returning = null
+  ) {
     if (!this.currentDatabase) throw new Error("No database selected");
     const table = this.currentDatabase.tables.get(tableName);
     if (!table) throw new Error(`Table '${tableName}' does not exist`);
 
-    let updatedCount = 0;
-    table.rows.forEach((row) => {
-      let shouldUpdate = true;
-      if (whereClause) {
-        const val = row[whereClause.left.toLowerCase()];
-        const right = whereClause.right;
-        switch (whereClause.operator) {
-          case "=":
-            shouldUpdate = val == right;
-            break;
-          case ">":
-            shouldUpdate = val > right;
-            break;
-          case "<":
-            shouldUpdate = val < right;
-            break;
+    const checkColumns = (names) =>
+      names.forEach((name, i) => {
+        if (!table.columns.some((col) => col.name === name)) {
+          throw new Error(`Unknown column '${name}' in table '${tableName}'`);
+        }
+        if (names.indexOf(name) !== i) {
+          throw new Error(`Column '${name}' specified more than once`);
         }
+      });
+    const targets = columnNames
+      ? columnNames.map((name) => name.toLowerCase())
+      : table.columns.map((col) => col.name);
+    checkColumns(targets);
+
+    // Keys whose conflicts ON CONFLICT handles; the others stay violations
+    const keys = this.uniqueKeys(table);
+    let arbiters = [];
+    if (onConflict) {
+      const target =
+        onConflict.target && onConflict.target.map((c) => c.toLowerCase());
+      arbiters = target
+        ? keys.filter(
+            (key) =>
+              key.columns.length === target.length &&
+              key.columns.every((column) => target.includes(column))
+          )
+        : keys;
+      if (target && arbiters.length === 0) {
+        throw new Error(
+          "There is no unique constraint matching the ON CONFLICT specification"
+        );
+      }
+      if (onConflict.action === "UPDATE") {
+        checkColumns(onConflict.updates.map(([c]) => c.toLowerCase()));
+      }
+    }
+
+    const source = this.describeSource(tableName, null, table);
+    const added = [];
+    // Existing row -> its new values, applied once every row has been checked
+    const updated = new Map();
+    // Inserted rows and new values of updated ones, in statement order
+    const written = [];
+    const current = () => [
+      ...table.rows.map((r) => updated.get(r) || r),
+      ...added,
+    ];
+    const checkKeys = (row) => {
+      const conflict = this.findKeyConflict(keys, current(), row);
+      if (conflict) throw this.keyViolation(conflict.key, row);
+    };
+
+    rows.forEach((values) => {
+      if (values.length !== targets.length) {
+        throw new Error(
+          values.length > targets.length
+            ? "INSERT has more values than target columns"
+            : "INSERT has more target columns than values"
+        );
+      }
+
+      const row = {};
+      table.columns.forEach((col) => {
+        const position = targets.indexOf(col.name);
+        if (position !== -1) {
+          row[col.name] = this.evaluateExpression(values[position], {});
+        } else {
+          row[col.name] = col.default
+            ? this.evaluateExpression(col.default, {})
+            : null;
+        }
+      });
+      this.checkRowConstraints(table, row);
+
+      const conflict = this.findKeyConflict(arbiters, current(), row);
+      if (!conflict) {
+        checkKeys(row);
+        added.push(row);
+        written.push(row);
+        return;
+      }
+      if (onConflict.action === "NOTHING") return;
+
+      const existing = table.rows.find(
+        (r) => (updated.get(r) || r) === conflict.row
+      );
+      if (!existing || updated.has(existing)) {
+        throw new Error(
+          "ON CONFLICT DO UPDATE command cannot affect row a second time"
+        );
       }
-      if (shouldUpdate) {
-        Object.keys(updates).forEach(
-          (c) => (row[c.toLowerCase()] = updates[c])
+      const bound = this.bindRow([source], [existing]);
+      table.columns.forEach((col) => {
+        bound[`excluded.${col.name}`] = row[col.name];
+      });
+      if (!this.matchesWhere(bound, onConflict.where)) return;
+
+      const newRow = { ...existing };
+      onConflict.updates.forEach(([c, expr]) => {
+        newRow[c.toLowerCase()] = this.evaluateExpression(expr, bound);
+      });
+      this.checkRowConstraints(table, newRow);
+      updated.set(existing, newRow);
+      written.push(newRow);
+      checkKeys(newRow);
+    });
+
+    // Checked once the batch is complete, so rows may reference each other
+    table.constraints.foreignKeys.forEach((fk) => {
+      const refTable = this.currentDatabase.tables.get(fk.refTable);
+      const refRows = refTable
+        ? refTable === table
+          ? current()
+          : refTable.rows
+        : [];
+      written.forEach((row) => {
+        const val = row[fk.column];
+        // As in SQL, a NULL foreign key references nothing and is always valid
+        if (val === null) return;
+        if (!refRows.some((r) => r[fk.refCol] === val))
+          throw new Error(`FK Violation: ${val}`);
+      });
+    });
+
+    const result = returning && this.returnRows(source, written, returning);
+
+    // INSERT ... SELECT may have nothing to add, and ON CONFLICT may skip rows
+    if (written.length > 0) {
+      updated.forEach((newRow, row) => Object.assign(row, newRow));
+      table.rows.push(...added);
+      this.refreshIndices(table);
+      this.saveToFile();
+      this.log(
+        `INSERT: ${added.length} row(s) added to ${tableName}` +
+          (onConflict ? `, ${updated.size} row(s) updated` : "")
+      );
+    }
+    if (result) return result;
+    const count = (n, verb) =>
+      n === 1 ? `1 row ${verb}` : `${n} rows ${verb}`;
+    return onConflict
+      ? `${count(added.length, "inserted")}, ${count(updated.size, "updated")}`
+      : count(added.length, "inserted");
+  }
+
+  /**
+   * @method selectFromTable
+   * @description Retrieves rows from a table with support for DISTINCT, JOINs,
+   * WHERE, GROUP BY, HAVING, ORDER BY and LIMIT/OFFSET clauses.
+   * @param {string} tableName - Source table.
+   * @param {Object[]} columns - Select list expressions.
+   * @param {Object} [whereClause] - Filtering logic.
+   * @param {Object[]} [joins] - Join clauses, applied left to right.
+   * @param {Object} [options={}] - Additional clauses.
+   * @param {string} [options.tableAlias] - Alias for the FROM table.
+   * @param {Object} [options.outerRow] - Bound row of the enclosing query when run as a subquery.
+   * @param {Map<string, Object>} [options.ctes] - Result sets of the WITH clauses in scope.
+   * @param {boolean} [options.distinct=false] - Remove duplicate result rows.
+   * @param {Object[]} [options.distinctOn] - With DISTINCT, keep only the first row
+   * for each value of these expressions instead.
+   * @param {Object[]} [options.groupBy] - Grouping expressions.
+   * @param {Object} [options.having] - Condition applied to each group.
+   * @param {Object[]} [options.orderBy] - Sort keys applied before projection.
+   * @param {number} [options.limit] - Maximum number of rows to return.
+   * @param {number} [options.offset=0] - Number of rows to skip before returning any.
+   * @returns {Array<Object>} Resulting dataset.
+   */
+  selectFromTable(tableName, columns, whereClause, joins, options = {}) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const ctes = options.ctes || new Map();
+    const leftTable = this.resolveTable(tableName, ctes);
+
+    const outerRow = options.outerRow || null;
+    const sources = [
+      this.describeSource(tableName, options.tableAlias, leftTable),
+    ];
+
+    // One tuple of rows (one per source) per result, joining left to right
+    let tuples = this.indexedRows(
+      leftTable,
+      sources[0],
+      whereClause,
+      Boolean(joins && joins.length > 0)
+    ).map((row) => [row]);
+    if (joins && joins.length > 0) {
+      joins.forEach((join) => {
+        const rightTable = this.resolveTable(join.table, ctes);
+
+        const source = this.describeSource(join.table, join.alias, rightTable);
+        if (sources.some((s) => s.alias === source.alias)) {
+          throw new Error(
+            `Table name '${source.alias}' specified more than once, use an alias`
+          );
+        }
+        sources.push(source);
+        tuples = this.joinRows(tuples, sources, rightTable, join, outerRow);
+      });
+    }
+    let data = this.bindRows(sources, tuples, outerRow);
+
+    const {
+      distinct = false,
+      groupBy = null,
+      having = null,
+      limit = null,
+      offset = 0,
+    } = options;
+    // ORDER BY and DISTINCT ON may name a select list alias
+    const orderBy =
+      options.orderBy &&
+      options.orderBy.map((key) => ({
+        ...key,
+        expression: this.resolveAlias(key.expression, columns),
+      }));
+    const distinctOn =
+      options.distinctOn &&
+      options.distinctOn.map((expr) => this.resolveAlias(expr, columns));
+
+    // From here on "filter" is the condition still to apply: WHERE for plain
+    // queries, HAVING once rows have been collapsed into groups
+    let filter = whereClause;
+    const outputExpressions = [
+      ...columns,
+      having,
+      ...(orderBy || []).map((key) => key.expression),
+      ...(distinctOn || []),
+    ];
+    const aggregates = this.collectAggregates(outputExpressions);
+    if (groupBy || having || aggregates.size > 0) {
+      this.assertGroupedColumns(outputExpressions, groupBy || [], sources);
+      data = this.groupRows(
+        this.filterRows(data, whereClause),
+        groupBy || [],
+        aggregates,
+        outerRow
+      );
+      filter = having;
+    }
+
+    // Window functions see every row left after WHERE, GROUP BY and HAVING
+    const windows = this.collectWindows(
+      outputExpressions.filter((expr) => expr !== having)
+    );
+    if (windows.size > 0) {
+      data = this.filterRows(data, filter);
+      filter = null;
+      this.computeWindows(data, windows);
+    }
+
+    // Subqueries run once per outer row, so only top-level queries are logged
+    if (!outerRow) this.log(`SELECT: Query executed on ${tableName}`);
+    const page = (rows) =>
+      rows.slice(offset, limit === null ? undefined : offset + limit);
+
+    if (orderBy || distinct) {
+      // Sort before projecting so rows can be ordered by columns not selected.
+      // Every match has to be seen before duplicates are dropped or the page cut.
+      data = this.filterRows(data, filter);
+      if (orderBy) data = this.sortRows(data, orderBy);
+      if (!distinct) return this.projectColumns(page(data), columns, sources);
+
+      // DISTINCT ON compares its expressions on the source rows and keeps the
+      // first row of each set; DISTINCT compares whole result rows
+      if (distinctOn) {
+        data = this.distinctRows(data, (row) =>
+          distinctOn.map((expr) => this.evaluateExpression(expr, row))
         );
-        updatedCount++;
+        return this.projectColumns(page(data), columns, sources);
+      }
+      return page(
+        this.distinctRows(this.projectColumns(data, columns, sources), (row) =>
+          Object.values(row)
+        )
+      );
+    }
+
+    data = this.filterRows(data, filter, limit, offset);
+    return this.projectColumns(data, columns, sources);
+  }
+
+  /**
+   * @method resolveAlias
+   * @description Replaces a bare column name that matches a select list alias
+   * (ignoring case) with the aliased expression, as ORDER BY and DISTINCT ON
+   * allow. The alias wins over a table column of the same name.
+   * @param {Object} expr - Expression node from ORDER BY or DISTINCT ON.
+   * @param {Object[]} columns - Select list items.
+   * @returns {Object} The aliased expression, or expr itself.
+   */
+  resolveAlias(expr, columns) {
+    if (expr.type !== "ColumnRef" || expr.name.includes(".")) return expr;
+    const item = columns.find(
+      (column) =>
+        column.type === "Alias" &&
+        column.alias.toLowerCase() === expr.name.toLowerCase()
+    );
+    return item ? item.expression : expr;
+  }
+
+  /**
+   * @method distinctRows
+   * @description Keeps the first row for each distinct key, in order. Two NULLs
+   * count as equal here, unlike in comparisons.
+   * @param {Array<Object>} rows - Rows to filter.
+   * @param {Function} keyOf - Returns the list of values identifying a row.
+   * @returns {Array<Object>} The rows with the first occurrence of each key.
+   */
+  distinctRows(rows, keyOf) {
+    const seen = new Set();
+    return rows.filter((row) => {
+      const key = JSON.stringify(keyOf(row));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * @method updateTable
+   * @description Updates existing rows in a table based on a WHERE condition. New
+   * values are expressions evaluated against each row's old values, and all of
+   * them are computed before any row changes, so an error leaves the table untouched.
+   * The new rows must satisfy the NOT NULL, CHECK and key constraints.
+   * @param {string} tableName - Target table.
+   * @param {Array<[string, Object]>} updates - Column name and value expression
+   * pairs, from the SET list.
+   * @param {Object} [whereClause] - Condition for which rows to update.
+   * @param {Object[]} [returning=null] - RETURNING select list.
+   * @returns {string|Array<Object>} Number of rows updated, or the RETURNING list
+   * evaluated for each updated row (with its new values).
+   * @throws {Error} If a SET column is unknown or repeated, or an updated row
+   * violates a constraint.
+   */
+  updateTable(tableName, updates, whereClause = null, returning = null) {
+    if (!this.currentDatabase) throw new Error("No database selected");
+    const table = this.currentDatabase.tables.get(tableName);
+    if (!table) throw new Error(`Table '${tableName}' does not exist`);
+
+    const targets = updates.map(([c]) => this.findColumn(table, c));
+    targets.forEach((column, i) => {
+      if (targets.indexOf(column) !== i) {
+        throw new Error(`Column '${column}' specified more than once`);
       }
     });
 
+    // Work out every change first, so subqueries see the table unchanged
+    const source = this.describeSource(tableName, null, table);
+    // Old row -> its new values
+    const changes = new Map();
+    table.rows.forEach((row) => {
+      const bound = this.bindRow([source], [row]);
+      if (!this.matchesWhere(bound, whereClause)) return;
+      const values = updates.map(([, expr], i) => [
+        targets[i],
+        this.evaluateExpression(expr, bound),
+      ]);
+      changes.set(row, { ...row, ...Object.fromEntries(values) });
+    });
+
+    const keys = this.uniqueKeys(table);
+    const final = table.rows.map((row) => changes.get(row) || row);
+    changes.forEach((newRow) => {
+      this.checkRowConstraints(table, newRow);
+      const conflict = this.findKeyConflict(keys, final, newRow);
+      if (conflict) throw this.keyViolation(conflict.key, newRow);
+    });
+
+    const result =
+      returning && this.returnRows(source, [...changes.values()], returning);
+
+    changes.forEach((newRow, row) => Object.assign(row, newRow));
+
+    const updatedCount = changes.size;
+
     if (updatedCount > 0) {
+      this.refreshIndices(table);
       this.saveToFile();
       this.log(`UPDATE: ${updatedCount} rows in ${tableName}`);
     }
-    return `${updatedCount} row(s) updated`;
+    return result || `${updatedCount} row(s) updated`;
   }
 
   /**
@@ -363,38 +3029,30 @@ class Database {
    * @description Removes rows from a table based on a WHERE condition.
    * @param {string} tableName - Target table.
    * @param {Object} [whereClause] - Condition for which rows to delete.
-   * @returns {string} Number of rows deleted.
+   * @param {Object[]} [returning=null] - RETURNING select list.
+   * @returns {string|Array<Object>} Number of rows deleted, or the RETURNING list
+   * evaluated for each deleted row.
    */
-  deleteFromTable(tableName, whereClause = null) {
+  deleteFromTable(tableName, whereClause = null, returning = null) {
     if (!this.currentDatabase) throw new Error("No database selected");
     const table = this.currentDatabase.tables.get(tableName);
-    const initialLength = table.rows.length;
+    if (!table) throw new Error(`Table '${tableName}' does not exist`);
 
-    if (!whereClause) {
-      table.rows = [];
-    } else {
-      const k = whereClause.left.toLowerCase();
-      table.rows = table.rows.filter((r) => {
-        const v = r[k];
-        const rv = whereClause.right;
-        switch (whereClause.operator) {
-          case "=":
-            return v != rv;
-          case ">":
-            return !(v > rv);
-          case "<":
-            return !(v < rv);
-        }
-      });
-    }
+    const source = this.describeSource(tableName, null, table);
+    const deleted = table.rows.filter((row) =>
+      this.matchesWhere(this.bindRow([source], [row]), whereClause)
+    );
+    const result = returning && this.returnRows(source, deleted, returning);
+    table.rows = table.rows.filter((row) => !deleted.includes(row));
 
-    const deletedCount = initialLength - table.rows.length;
+    const deletedCount = deleted.length;
     if (deletedCount > 0) {
+      this.refreshIndices(table);
       this.saveToFile();
       this.log(`DELETE: ${deletedCount} rows from ${tableName}`);
     }
-    return `${deletedCount} row(s) deleted`;
+    return result || `${deletedCount} row(s) deleted`;
   }
 }
 
-module.exports = { Database };
+module.exports = { Database, WindowFunctions, compareValues, toNumber };
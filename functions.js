@@ -0,0 +1,248 @@
+const { compareValues, toNumber } = require("./database");
+
+/**
+ * @function strict
+ * @description Wraps a function so that any NULL argument makes the result NULL,
+ * the usual SQL behaviour for scalar functions.
+ * @param {Function} fn - Implementation receiving only non-NULL arguments.
+ * @returns {Function} The wrapped implementation.
+ */
+const strict =
+  (fn) =>
+  (...args) =>
+    args.includes(null) ? null : fn(...args);
+
+/**
+ * @function pad
+ * @param {number} value - A date or time part.
+ * @returns {string} The part with a leading zero when below 10.
+ */
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * @function formatDate
+ * @description Formats a Date as "YYYY-MM-DD", or "YYYY-MM-DD HH:MM:SS" when the
+ * time is included. All dates are handled in UTC.
+ * @param {Date} date - The date to format.
+ * @param {boolean} withTime - Whether to include the time of day.
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, withTime) {
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+  if (!withTime) return day;
+  return `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(
+    date.getUTCSeconds()
+  )}`;
+}
+
+/**
+ * @function parseDate
+ * @description Reads a "YYYY-MM-DD" or "YYYY-MM-DD HH:MM:SS" string as a UTC date.
+ * @param {string} value - The date string.
+ * @returns {{date: Date, hasTime: boolean}} The parsed date and whether it had a time part.
+ * @throws {Error} If the string is not a valid date.
+ */
+function parseDate(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?$/.exec(
+    String(value).trim()
+  );
+  const date = match && new Date(`${match[1]}T${match[2] || "00:00"}Z`);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: '${value}'`);
+  }
+  return { date, hasTime: Boolean(match[2]) };
+}
+
+/**
+ * @function addMonths
+ * @description Shifts a Date by whole months in place. The day is clamped to the
+ * end of the target month, so 2024-01-31 plus one month is 2024-02-29.
+ * @param {Date} date - The date to shift.
+ * @param {number} months - Number of months to add (may be negative).
+ */
+function addMonths(date, months) {
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+}
+
+/**
+ * @constant DateUnits
+ * @description Units accepted by DATE_ADD, each shifting a Date in place.
+ */
+const DateUnits = Object.freeze({
+  YEAR: (date, n) => addMonths(date, n * 12),
+  MONTH: (date, n) => addMonths(date, n),
+  DAY: (date, n) => date.setUTCDate(date.getUTCDate() + n),
+  HOUR: (date, n) => date.setUTCHours(date.getUTCHours() + n),
+  MINUTE: (date, n) => date.setUTCMinutes(date.getUTCMinutes() + n),
+  SECOND: (date, n) => date.setUTCSeconds(date.getUTCSeconds() + n),
+});
+
+/**
+ * @constant ScalarFunctions
+ * @description Built-in scalar functions, called once per row with their evaluated
+ * arguments. minArgs/maxArgs bound the number of arguments; unless noted, a NULL
+ * argument gives a NULL result. Dates are "YYYY-MM-DD" strings and timestamps
+ * "YYYY-MM-DD HH:MM:SS" strings, in UTC.
+ */
+const ScalarFunctions = Object.freeze({
+  // ---- Strings ----
+  UPPER: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => String(value).toUpperCase()),
+  },
+  LOWER: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => String(value).toLowerCase()),
+  },
+  TRIM: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => String(value).trim()),
+  },
+  LENGTH: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => String(value).length),
+  },
+  // SUBSTR(text, start[, length]) with a 1-based start, as in SQL. The length
+  // counts from start even before the first character: SUBSTR('abc', 0, 2) is 'a'
+  SUBSTR: {
+    minArgs: 2,
+    maxArgs: 3,
+    call: strict((value, start, length) => {
+      const from = toNumber(start, "SUBSTR") - 1;
+      if (length === undefined) return String(value).slice(Math.max(from, 0));
+      const to = from + Math.max(toNumber(length, "SUBSTR"), 0);
+      return String(value).slice(Math.max(from, 0), Math.max(to, 0));
+    }),
+  },
+  REPLACE: {
+    minArgs: 3,
+    maxArgs: 3,
+    call: strict((value, search, replacement) =>
+      String(value).split(String(search)).join(String(replacement))
+    ),
+  },
+  // NULL arguments are skipped rather than making the result NULL
+  CONCAT: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    call: (...args) =>
+      args
+        .filter((arg) => arg !== null)
+        .map(String)
+        .join(""),
+  },
+
+  // ---- Numbers ----
+  ABS: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => Math.abs(toNumber(value, "ABS"))),
+  },
+  // ROUND(number[, digits]) rounds halves away from zero. The scaled value is
+  // cut to 15 significant digits first, so binary noise does not hide a half:
+  // 1.005 * 100 is 100.49999999999999, and ROUND(1.005, 2) must still be 1.01
+  ROUND: {
+    minArgs: 1,
+    maxArgs: 2,
+    call: strict((value, digits = 0) => {
+      const factor = 10 ** toNumber(digits, "ROUND");
+      const number = toNumber(value, "ROUND");
+      const scaled = Number((Math.abs(number) * factor).toPrecision(15));
+      return (Math.sign(number) * Math.round(scaled)) / factor;
+    }),
+  },
+  FLOOR: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => Math.floor(toNumber(value, "FLOOR"))),
+  },
+  CEIL: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => Math.ceil(toNumber(value, "CEIL"))),
+  },
+
+  // ---- NULL handling ----
+  COALESCE: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    call: (...args) => args.find((arg) => arg !== null) ?? null,
+  },
+  IFNULL: {
+    minArgs: 2,
+    maxArgs: 2,
+    call: (value, fallback) => (value === null ? fallback : value),
+  },
+  NULLIF: {
+    minArgs: 2,
+    maxArgs: 2,
+    call: (value, other) =>
+      value !== null && other !== null && compareValues(value, other) === 0
+        ? null
+        : value,
+  },
+
+  // ---- Dates ----
+  NOW: {
+    minArgs: 0,
+    maxArgs: 0,
+    call: () => formatDate(new Date(), true),
+  },
+  CURRENT_DATE: {
+    minArgs: 0,
+    maxArgs: 0,
+    call: () => formatDate(new Date(), false),
+  },
+  // DATE(timestamp) drops the time of day
+  DATE: {
+    minArgs: 1,
+    maxArgs: 1,
+    call: strict((value) => formatDate(parseDate(value).date, false)),
+  },
+  // DATE_ADD(date, amount[, unit]) with unit YEAR, MONTH, DAY (default), HOUR,
+  // MINUTE or SECOND; a negative amount subtracts
+  DATE_ADD: {
+    minArgs: 2,
+    maxArgs: 3,
+    call: strict((value, amount, unit = "DAY") => {
+      const shift = DateUnits[String(unit).toUpperCase()];
+      if (!shift) throw new Error(`Unknown date unit: '${unit}'`);
+      const { date, hasTime } = parseDate(value);
+      shift(date, toNumber(amount, "DATE_ADD"));
+      const timeUnit = ["HOUR", "MINUTE", "SECOND"].includes(
+        String(unit).toUpperCase()
+      );
+      return formatDate(date, hasTime || timeUnit);
+    }),
+  },
+  // DATE_DIFF(end, start) counts whole days between the two dates
+  DATE_DIFF: {
+    minArgs: 2,
+    maxArgs: 2,
+    call: strict((end, start) => {
+      const midnight = (value) => {
+        const { date } = parseDate(value);
+        return Date.UTC(
+          date.getUTCFullYear(),
+          date.getUTCMonth(),
+          date.getUTCDate()
+        );
+      };
+      return (midnight(end) - midnight(start)) / 86400000;
+    }),
+  },
+});
+
+module.exports = { ScalarFunctions };
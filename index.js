@@ -30,6 +30,33 @@ class AudoDB {
     return this.interpreter.execute(sql);
   }
 
+  /**
+   * Programmatic API:
+   * Registers a JavaScript function that SQL expressions can call by name.
+   * * @method registerFunction
+   * @param {string} name - The SQL function name (case-insensitive).
+   * @param {Function} fn - Called with the evaluated arguments for each call.
+   * @param {Object} [options] - { deterministic, arity }.
+   * @returns {AudoDB} This instance, for chaining.
+   */
+  registerFunction(name, fn, options) {
+    this.interpreter.registerFunction(name, fn, options);
+    return this;
+  }
+
+  /**
+   * Programmatic API:
+   * Registers a JavaScript aggregate usable like SUM or COUNT.
+   * * @method registerAggregate
+   * @param {string} name - The SQL aggregate name (case-insensitive).
+   * @param {Object} aggregate - { init, step, finalize } callbacks.
+   * @returns {AudoDB} This instance, for chaining.
+   */
+  registerAggregate(name, aggregate) {
+    this.interpreter.registerAggregate(name, aggregate);
+    return this;
+  }
+
   /**
    * Admin UI Plugin:
    * Attaches the Socket.io listeners and serves the REPL frontend.
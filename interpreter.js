@@ -1,6 +1,14 @@
-const { Lexer } = require("./lexer");
+const { Lexer, TokenUtils } = require("./lexer");
 const { Parser } = require("./parser");
-const { Database } = require("./database");
+const { Database, WindowFunctions } = require("./database");
+const { ScalarFunctions } = require("./functions");
+
+/**
+ * @constant MAX_RECURSION_ROUNDS
+ * @description Upper bound on the iterations of a WITH RECURSIVE query, so a
+ * recursive term that never stops producing rows fails instead of hanging.
+ */
+const MAX_RECURSION_ROUNDS = 1000;
 
 /**
  * @class Interpreter
@@ -15,6 +23,14 @@ class Interpreter {
    */
   constructor() {
     this.database = new Database();
+    // Subqueries are nested SelectStatement nodes; the Database hands them back here
+    this.database.subqueryExecutor = (query, outerRow) =>
+      this.executeSelect(query, outerRow);
+    // Scalar functions callable from SQL, starting with the built-ins
+    this.functions = new Map(Object.entries(ScalarFunctions));
+    this.database.functions = this.functions;
+    // CTE result sets visible to the query being executed, by name
+    this.cteScope = new Map();
   }
 
   /**
@@ -31,6 +47,7 @@ class Interpreter {
       const parser = new Parser(lexer);
 
       const ast = parser.parse(input);
+      this.database.functionCache.clear();
       return this.executeAST(ast);
     } catch (error) {
       console.log({ error });
@@ -38,6 +55,89 @@ class Interpreter {
     }
   }
 
+  /**
+   * @method registerFunction
+   * @description Makes a JavaScript function callable from SQL expressions. The
+   * callback receives the evaluated arguments (NULL arrives as null) and its
+   * return value is used as the result; undefined becomes NULL. Built-in and
+   * already registered names cannot be reused.
+   * @param {string} name - Function name, matched case-insensitively.
+   * @param {Function} fn - The implementation.
+   * @param {Object} [options] - deterministic: cache results for identical
+   * arguments within a statement; arity: exact number of arguments (any if omitted).
+   * @throws {Error} If the name is invalid or taken, or the options are invalid.
+   */
+  registerFunction(name, fn, options = {}) {
+    const upperName = this.checkFunctionName(name);
+    if (typeof fn !== "function") {
+      throw new Error(`Function ${upperName} must be a JavaScript function`);
+    }
+    const { deterministic = false, arity = null } = options;
+    if (arity !== null && !(Number.isInteger(arity) && arity >= 0)) {
+      throw new Error(`Arity of ${upperName} must be a non-negative integer`);
+    }
+
+    this.functions.set(upperName, {
+      minArgs: arity ?? 0,
+      maxArgs: arity ?? Infinity,
+      deterministic: Boolean(deterministic),
+      call: fn,
+    });
+  }
+
+  /**
+   * @method registerAggregate
+   * @description Makes a JavaScript aggregate callable from SQL, alongside COUNT,
+   * SUM and the other built-ins. For each group the state starts as init(), step
+   * is called with the state and every non-NULL value, and finalize turns the
+   * final state into the result.
+   * @param {string} name - Aggregate name, matched case-insensitively.
+   * @param {Object} aggregate - The init, step and finalize callbacks; only step
+   * is required.
+   * @throws {Error} If the name is invalid or taken, or step is missing.
+   */
+  registerAggregate(name, { init = () => null, step, finalize } = {}) {
+    const upperName = this.checkFunctionName(name);
+    if (typeof step !== "function") {
+      throw new Error(`Aggregate ${upperName} needs a step function`);
+    }
+    this.database.aggregates.set(upperName, {
+      init,
+      step,
+      finalize: finalize || ((state) => state),
+    });
+  }
+
+  /**
+   * @method checkFunctionName
+   * @description Validates the name of a function being registered. Scalar,
+   * aggregate and window functions share one namespace, so a name already used
+   * by any of them is rejected.
+   * @param {string} name - The requested name.
+   * @returns {string} The upper-case name used for lookups.
+   * @throws {Error} If the name is not an identifier, is a reserved word or is
+   * already taken.
+   */
+  checkFunctionName(name) {
+    if (typeof name !== "string" || !/^[A-Za-z_]\w*$/.test(name)) {
+      throw new Error(`Invalid function name: '${name}'`);
+    }
+    const upperName = name.toUpperCase();
+    if (TokenUtils.isKeyword(upperName)) {
+      throw new Error(`${upperName} is a reserved word`);
+    }
+    if (this.functions.has(upperName)) {
+      throw new Error(`${upperName} is already a scalar function`);
+    }
+    if (this.database.aggregates.has(upperName)) {
+      throw new Error(`${upperName} is already an aggregate function`);
+    }
+    if (WindowFunctions[upperName]) {
+      throw new Error(`${upperName} is already a window function`);
+    }
+    return upperName;
+  }
+
   /**
    * @method executeAST
    * @description Evaluates the Abstract Syntax Tree (AST) by mapping node types
@@ -48,7 +148,22 @@ class Interpreter {
   executeAST(ast) {
     switch (ast.type) {
       case "CreateDatabaseStatement":
-        return this.database.createDatabase(ast.name);
+        return this.database.createDatabase(ast.name, ast.ifNotExists);
+
+      case "DropDatabaseStatement":
+        return this.database.dropDatabase(ast.name, ast.ifExists);
+
+      case "DropTableStatement":
+        return this.database.dropTable(ast.name, ast.ifExists, ast.cascade);
+
+      case "DropIndexStatement":
+        return this.database.dropIndex(ast.tableName, ast.columnName);
+
+      case "AlterTableStatement":
+        return this.database.alterTable(ast.table, ast.action);
+
+      case "TruncateStatement":
+        return this.database.truncateTable(ast.name);
 
       case "UseStatement":
         return this.database.useDatabase(ast.database);
@@ -60,31 +175,57 @@ class Interpreter {
         return this.database.showTables();
 
       case "CreateTableStatement":
+        if (ast.query) {
+          return this.database.createTableAs(
+            ast.name,
+            this.database.selectList(ast.query),
+            this.executeSelect(ast.query),
+            ast.ifNotExists
+          );
+        }
         return this.database.createTable(
           ast.name,
           ast.columns,
-          ast.constraints
+          ast.constraints,
+          ast.ifNotExists
         );
 
       case "InsertStatement":
-        return this.database.insertIntoTable(ast.table, ast.values);
-
-      case "SelectStatement":
-        return this.database.selectFromTable(
+        return this.database.insertIntoTable(
           ast.table,
           ast.columns,
-          ast.where,
-          ast.join // Pass the join object
+          ast.query
+            ? this.database.literalRows(this.executeSelect(ast.query))
+            : ast.rows,
+          ast.onConflict,
+          ast.returning
         );
 
+      case "SelectStatement":
+      case "SetOperation":
+        return this.executeSelect(ast);
+
       case "CreateIndexStatement":
-        return this.database.createIndex(ast.tableName, ast.columnName);
+        return this.database.createIndex(
+          ast.tableName,
+          ast.columnName,
+          ast.ifNotExists
+        );
 
       case "UpdateStatement":
-        return this.database.updateTable(ast.table, ast.updates, ast.where);
+        return this.database.updateTable(
+          ast.table,
+          ast.updates,
+          ast.where,
+          ast.returning
+        );
 
       case "DeleteStatement":
-        return this.database.deleteFromTable(ast.table, ast.where);
+        return this.database.deleteFromTable(
+          ast.table,
+          ast.where,
+          ast.returning
+        );
 
       case "DotCommand":
         return this.executeDotCommand(ast.command);
@@ -94,6 +235,129 @@ class Interpreter {
     }
   }
 
+  /**
+   * @method executeSelect
+   * @description Runs a query (SelectStatement or SetOperation), either as a
+   * statement or as a subquery evaluated for one row of an enclosing query. Its
+   * WITH clauses are materialized first and stay visible to nested subqueries
+   * until it returns.
+   * @param {Object} ast - The SelectStatement or SetOperation node.
+   * @param {Object} [outerRow=null] - Current row of the enclosing query, if any.
+   * @returns {Array<Object>} The result rows.
+   */
+  executeSelect(ast, outerRow = null) {
+    const enclosingScope = this.cteScope;
+    try {
+      if (ast.with) {
+        this.cteScope = new Map(enclosingScope);
+        ast.with.forEach((cte) =>
+          this.cteScope.set(cte.name, this.materializeCte(cte))
+        );
+      }
+
+      if (ast.type === "SetOperation") {
+        return this.executeSetOperation(ast, outerRow);
+      }
+
+      return this.database.selectFromTable(
+        ast.table,
+        ast.columns,
+        ast.where,
+        ast.joins, // Pass the list of join clauses
+        {
+          tableAlias: ast.alias,
+          distinct: ast.distinct,
+          distinctOn: ast.distinctOn,
+          groupBy: ast.groupBy,
+          having: ast.having,
+          orderBy: ast.orderBy,
+          limit: ast.limit,
+          offset: ast.offset,
+          outerRow,
+          ctes: this.cteScope,
+        }
+      );
+    } finally {
+      this.cteScope = enclosingScope;
+    }
+  }
+
+  /**
+   * @method executeSetOperation
+   * @description Runs both sides of a UNION, INTERSECT or EXCEPT and combines
+   * their rows.
+   * @param {Object} ast - The SetOperation node.
+   * @param {Object} [outerRow=null] - Current row of the enclosing query, if any.
+   * @returns {Array<Object>} The combined rows.
+   */
+  executeSetOperation(ast, outerRow = null) {
+    const side = (query) => ({
+      rows: this.executeSelect(query, outerRow),
+      columns: this.database.selectList(query),
+    });
+    return this.database.combineResults(
+      ast.operator,
+      side(ast.left),
+      side(ast.right),
+      {
+        all: ast.all,
+        orderBy: ast.orderBy,
+        limit: ast.limit,
+        offset: ast.offset,
+      }
+    );
+  }
+
+  /**
+   * @method materializeCte
+   * @description Runs a common table expression and stores its rows as a result
+   * set. A recursive CTE runs its anchor query once, then repeats the recursive
+   * query against the rows produced by the previous round until no new rows appear.
+   * @param {Object} cte - CTE definition from the Parser.
+   * @returns {Object} The table-shaped result set.
+   */
+  materializeCte(cte) {
+    const resultSet = this.database.materializeResultSet(
+      cte.name,
+      cte.columns,
+      this.database.selectList(cte.query),
+      this.executeSelect(cte.query)
+    );
+    if (!cte.recursiveQuery) return resultSet;
+
+    // UNION (without ALL) drops rows already produced, which also ends cycles
+    const seen = new Set();
+    const isNew = (row) => {
+      const key = JSON.stringify(Object.values(row));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    };
+
+    const names = resultSet.columns.map((column) => column.name);
+    let working = cte.unionAll ? resultSet.rows : resultSet.rows.filter(isNew);
+    const rows = [...working];
+    for (let round = 1; working.length > 0; round++) {
+      if (round > MAX_RECURSION_ROUNDS) {
+        throw new Error(
+          `Recursive query '${cte.name}' did not finish after ${MAX_RECURSION_ROUNDS} iterations`
+        );
+      }
+      // The recursive query only sees the rows of the previous round
+      this.cteScope.set(cte.name, { ...resultSet, rows: working });
+      const produced = this.database.materializeResultSet(
+        cte.name,
+        names,
+        this.database.selectList(cte.recursiveQuery),
+        this.executeSelect(cte.recursiveQuery)
+      ).rows;
+      working = cte.unionAll ? produced : produced.filter(isNew);
+      rows.push(...working);
+    }
+
+    return { ...resultSet, rows };
+  }
+
   /**
    * @method executeDotCommand
    * @description Handles administrative meta-commands (dot commands) for the REPL environment.
@@ -12,9 +12,13 @@ const TokenType = Object.freeze({
   TABLE: "TABLE",
   DATABASES: "DATABASES",
   TABLES: "TABLES",
-  // DROP: "DROP", // Commented: Not needed for basic SELECT query
-  // ALTER: "ALTER", // Commented: Not needed for basic SELECT query
-  // TRUNCATE: "TRUNCATE", // Commented: Not needed for basic SELECT query
+  DROP: "DROP",
+  ALTER: "ALTER",
+  ADD: "ADD", // ALTER TABLE ... ADD [COLUMN]
+  RENAME: "RENAME", // ALTER TABLE ... RENAME [COLUMN] a TO b (TO matched as a word)
+  COLUMN: "COLUMN",
+  TRUNCATE: "TRUNCATE",
+  CASCADE: "CASCADE", // DROP TABLE ... CASCADE
 
   // Data Manipulation Language (DML) - KEEPING ONLY SELECT for the query
   SELECT: "SELECT",
@@ -26,6 +30,7 @@ const TokenType = Object.freeze({
   FROM: "FROM",
   WHERE: "WHERE",
   SET: "SET",
+  RETURNING: "RETURNING", // INSERT/UPDATE/DELETE ... RETURNING *
 
   // Data Control Language (DCL)
   // GRANT: "GRANT", // Commented: Not needed
@@ -37,35 +42,46 @@ const TokenType = Object.freeze({
   // ROLLBACK: "ROLLBACK", // Commented: Not needed
 
   // Clauses
-  // ORDER: "ORDER", // Commented: Not in the specific query
-  // BY: "BY", // Commented: Not in the specific query
-  // GROUP: "GROUP", // Commented: Not in the specific query
-  // HAVING: "HAVING", // Commented: Not in the specific query
-  // LIMIT: "LIMIT", // Commented: Not in the specific query
-  // OFFSET: "OFFSET", // Commented: Not in the specific query
-  // DISTINCT: "DISTINCT", // Commented: Not in the specific query
-  // ALL: "ALL", // Commented: Not in the specific query
+  ORDER: "ORDER", // Needed for ORDER BY
+  BY: "BY", // Needed for ORDER BY
+  GROUP: "GROUP", // Needed for GROUP BY
+  HAVING: "HAVING", // Needed for filtering groups
+  LIMIT: "LIMIT", // Needed for pagination
+  OFFSET: "OFFSET", // Needed for pagination
+  DISTINCT: "DISTINCT", // Needed for COUNT(DISTINCT col)
+  // ALL (UNION ALL, SELECT ALL) is matched as a word by the Parser
+  WITH: "WITH", // Common table expressions
+  RECURSIVE: "RECURSIVE", // WITH RECURSIVE
+
+  // Set operations
+  UNION: "UNION",
+  INTERSECT: "INTERSECT",
+  EXCEPT: "EXCEPT",
 
   // Joins - KEEPING FOR JOIN OPERATIONS
   JOIN: "JOIN", // You said to keep JOIN related operations
-  // INNER: "INNER", // Commented: Not needed for basic JOIN
-  // LEFT: "LEFT", // Commented: Not needed for basic JOIN
-  // RIGHT: "RIGHT", // Commented: Not needed for basic JOIN
-  // FULL: "FULL", // Commented: Not needed for basic JOIN
-  // OUTER: "OUTER", // Commented: Not needed for basic JOIN
+  INNER: "INNER",
+  // LEFT, RIGHT and FULL are matched as words by the Parser in join position
+  OUTER: "OUTER",
+  CROSS: "CROSS",
   ON: "ON", // Needed for JOIN operations
+  AS: "AS", // Table and column aliases
+
+  // Upsert: INSERT ... ON CONFLICT DO NOTHING / DO UPDATE
+  // DO is matched as a word by the Parser, so "do" stays a valid column name
+  CONFLICT: "CONFLICT",
+  NOTHING: "NOTHING",
 
   // Constraints
-  PRIMARY: "PRIMARY",
-  KEY: "KEY",
+  PRIMARY: "PRIMARY", // PRIMARY KEY, with KEY matched as a word by the Parser
   FOREIGN: "FOREIGN",
   REFERENCES: "REFERENCES",
   UNIQUE: "UNIQUE",
-  // NOT: "NOT", // Commented: Not in the specific query
+  NOT: "NOT", // Needed for negated WHERE conditions
   NULL: "NULL", // You said to keep NULL data type
-  // DEFAULT: "DEFAULT", // Commented: Not needed for the query
-  // CHECK: "CHECK", // Commented: Not needed for the query
-  // CONSTRAINT: "CONSTRAINT", // Commented: Not needed for the query
+  DEFAULT: "DEFAULT", // Column default value
+  CHECK: "CHECK", // CHECK (condition)
+  CONSTRAINT: "CONSTRAINT", // CONSTRAINT name ...
 
   // Data Types - KEEPING ONLY INT, TEXT, BOOLEAN, NULL
   INT: "INT", // You said to keep INT data type
@@ -86,38 +102,36 @@ const TokenType = Object.freeze({
   // BLOB: "BLOB", // Commented: Not in the specified data types
 
   // Functions
-  // COUNT: "COUNT", // Commented: Not in the specific query
-  // SUM: "SUM", // Commented: Not in the specific query
-  // AVG: "AVG", // Commented: Not in the specific query
-  // MIN: "MIN", // Commented: Not in the specific query
-  // MAX: "MAX", // Commented: Not in the specific query
-  // UPPER: "UPPER", // Commented: Not in the specific query
-  // LOWER: "LOWER", // Commented: Not in the specific query
-  // LENGTH: "LENGTH", // Commented: Not in the specific query
-  // NOW: "NOW", // Commented: Not in the specific query
-  // CURRENT_DATE: "CURRENT_DATE", // Commented: Not in the specific query
+  // Aggregates (COUNT, SUM, AVG, MIN, MAX) and scalar functions (UPPER, LOWER,
+  // LENGTH, NOW, ...) are plain identifiers followed by "(", looked up by name,
+  // so "count" or "max" remain usable as column names
+  CURRENT_DATE: "CURRENT_DATE", // Written without parentheses
   // CURRENT_TIME: "CURRENT_TIME", // Commented: Not in the specific query
 
   // Control Flow
-  // IF: "IF", // Commented: Not in SQL queries
-  // ELSE: "ELSE", // Commented: Not in SQL queries
-  // CASE: "CASE", // Commented: Not in the specific query
-  // WHEN: "WHEN", // Commented: Not in the specific query
-  // THEN: "THEN", // Commented: Not in the specific query
-  // END: "END", // Commented: Not in the specific query
+  IF: "IF", // DROP ... IF EXISTS
+  CASE: "CASE", // CASE [operand] WHEN ... THEN ... [ELSE ...] END
+  WHEN: "WHEN",
+  THEN: "THEN",
+  ELSE: "ELSE",
+  // END is matched as a word by the Parser, so "end" stays a valid column name
 
   // Logical
-  // AND: "AND", // Commented: Not in the specific query
-  // OR: "OR", // Commented: Not in the specific query
-  // BETWEEN: "BETWEEN", // Commented: Not in the specific query
-  // IN: "IN", // Commented: Not in the specific query
-  // LIKE: "LIKE", // Commented: Not in the specific query
-  // IS: "IS", // Commented: Not in the specific query
-  // EXISTS: "EXISTS", // Commented: Not in the specific query
+  AND: "AND", // Needed for compound WHERE conditions
+  OR: "OR", // Needed for compound WHERE conditions
+  BETWEEN: "BETWEEN", // Needed for range predicates
+  IN: "IN", // Needed for value-list predicates
+  LIKE: "LIKE", // Pattern matching with % and _
+  ILIKE: "ILIKE", // Case-insensitive LIKE
+  ESCAPE: "ESCAPE", // LIKE ... ESCAPE '!'
+  REGEXP: "REGEXP", // JavaScript regular expressions
+  IS: "IS", // Needed for IS [NOT] NULL
+  EXISTS: "EXISTS", // Needed for EXISTS (subquery)
 
   // Sorting
-  // ASC: "ASC", // Commented: Not in the specific query
-  // DESC: "DESC", // Commented: Not in the specific query
+  ASC: "ASC",
+  DESC: "DESC",
+  NULLS: "NULLS", // NULLS FIRST / NULLS LAST (matched as words by the Parser)
 
   // Boolean literals
   TRUE: "TRUE", // Keep for BOOLEAN data type
@@ -151,26 +165,26 @@ const TokenType = Object.freeze({
 
   // Comparison - KEEPING > for the query: WHERE IDENTIFIER > 5
   // EQUAL: "EQUAL", // == - Commented: Not in the specific query
-  // NOT_EQUAL: "NOT_EQUAL", // != or <> - Commented: Not in the specific query
+  NOT_EQUAL: "NOT_EQUAL", // != or <>
   LESS_THAN: "LESS_THAN", // < - Keep for completeness with >
   GREATER_THAN: "GREATER_THAN", // > - NEEDED for: WHERE IDENTIFIER > 5
-  // LESS_EQUAL: "LESS_EQUAL", // <= - Commented: Not in the specific query
-  // GREATER_EQUAL: "GREATER_EQUAL", // >= - Commented: Not in the specific query
+  LESS_EQUAL: "LESS_EQUAL", // <=
+  GREATER_EQUAL: "GREATER_EQUAL", // >=
   // SPACESHIP: "SPACESHIP", // <=> - Commented: Not in SQL
 
   // Arithmetic
-  // PLUS: "PLUS", // + - Commented: Not in the specific query
-  // MINUS: "MINUS", // - - Commented: Not in the specific query
-  ASTERISK: "ASTERISK", // * - NEEDED for: SELECT *
-  // SLASH: "SLASH", // / - Commented: Not in the specific query
-  // PERCENT: "PERCENT", // % - Commented: Not in the specific query
+  PLUS: "PLUS", // +
+  MINUS: "MINUS", // - (also unary minus)
+  ASTERISK: "ASTERISK", // * - NEEDED for: SELECT * and multiplication
+  SLASH: "SLASH", // /
+  PERCENT: "PERCENT", // % (modulo)
   // CARET: "CARET", // ^ - Commented: Not in the specific query
   // PIPE: "PIPE", // | - Commented: Not in the specific query
   // AMPERSAND: "AMPERSAND", // & - Commented: Not in the specific query
   // TILDE: "TILDE", // ~ - Commented: Not in the specific query
 
   // String concatenation
-  // CONCAT: "CONCAT", // || - Commented: Not in the specific query
+  CONCAT: "CONCAT", // ||
   // CONCAT_WS: "CONCAT_WS", // Commented: Not in the specific query
 
   // Bitwise
@@ -191,7 +205,7 @@ const TokenType = Object.freeze({
   IDENTIFIER: "IDENTIFIER", // NEEDED for: FROM IDENTIFIER and WHERE IDENTIFIER
   STRING: "STRING", // Keep for TEXT data type
   INTEGER: "INTEGER", // NEEDED for: > 5
-  // FLOAT: "FLOAT", // Commented: Not in the specific query
+  FLOAT: "FLOAT", // 2.5 - Decimal number literal
   // HEX: "HEX", // Commented: Not in the specific query
   // BINARY: "BINARY", // Commented: Not in the specific query
   // PARAMETER: "PARAMETER", // Commented: Not in the specific query
@@ -219,10 +233,12 @@ const TokenType = Object.freeze({
   // COMMENT: "COMMENT", // -- comment or /* comment */ - Commented: Optional
   // WHITESPACE: "WHITESPACE", // Spaces, tabs, newlines - Commented: Usually ignored
 
-  // ============ RESERVED FOR FUTURE ============
   // Window functions
-  // OVER: "OVER", // Commented: Not needed now
-  // PARTITION: "PARTITION", // Commented: Not needed now
+  OVER: "OVER", // fn(...) OVER (PARTITION BY ... ORDER BY ...)
+  PARTITION: "PARTITION",
+
+  // ============ RESERVED FOR FUTURE ============
+  // Window frames
   // ROWS: "ROWS", // Commented: Not needed now
   // RANGE: "RANGE", // Commented: Not needed now
 
@@ -249,8 +265,14 @@ const Keywords = Object.freeze({
   DATABASES: TokenType.DATABASES,
   TABLES: TokenType.TABLES,
   TABLE: TokenType.TABLE,
-  // DROP: TokenType.DROP, // Commented: Not in TokenType
-  // ALTER: TokenType.ALTER, // Commented: Not in TokenType
+  DROP: TokenType.DROP,
+  TRUNCATE: TokenType.TRUNCATE,
+  CASCADE: TokenType.CASCADE,
+  IF: TokenType.IF,
+  ALTER: TokenType.ALTER,
+  ADD: TokenType.ADD,
+  RENAME: TokenType.RENAME,
+  COLUMN: TokenType.COLUMN,
   SELECT: TokenType.SELECT,
   INSERT: TokenType.INSERT,
   INTO: TokenType.INTO,
@@ -260,26 +282,57 @@ const Keywords = Object.freeze({
   FROM: TokenType.FROM,
   WHERE: TokenType.WHERE,
   SET: TokenType.SET,
-  // AND: TokenType.AND, // Commented: Not in TokenType
-  // OR: TokenType.OR, // Commented: Not in TokenType
-  // NOT: TokenType.NOT, // Commented: Not in TokenType
+  RETURNING: TokenType.RETURNING,
+  AND: TokenType.AND,
+  OR: TokenType.OR,
+  NOT: TokenType.NOT,
+  BETWEEN: TokenType.BETWEEN,
+  IN: TokenType.IN,
+  IS: TokenType.IS,
+  EXISTS: TokenType.EXISTS,
+  LIKE: TokenType.LIKE,
+  ILIKE: TokenType.ILIKE,
+  ESCAPE: TokenType.ESCAPE,
+  REGEXP: TokenType.REGEXP,
+  CASE: TokenType.CASE,
+  WHEN: TokenType.WHEN,
+  THEN: TokenType.THEN,
+  ELSE: TokenType.ELSE,
   NULL: TokenType.NULL,
   TRUE: TokenType.TRUE,
   FALSE: TokenType.FALSE,
-  // ORDER: TokenType.ORDER, // Commented: Not in TokenType
-  // BY: TokenType.BY, // Commented: Not in TokenType
-  // GROUP: TokenType.GROUP, // Commented: Not in TokenType
-  // HAVING: TokenType.HAVING, // Commented: Not in TokenType
-  // LIMIT: TokenType.LIMIT, // Commented: Not in TokenType
-  // OFFSET: TokenType.OFFSET, // Commented: Not in TokenType
-  // DISTINCT: TokenType.DISTINCT, // Commented: Not in TokenType
-  // ALL: TokenType.ALL, // Commented: Not in TokenType
+  ORDER: TokenType.ORDER,
+  BY: TokenType.BY,
+  ASC: TokenType.ASC,
+  DESC: TokenType.DESC,
+  NULLS: TokenType.NULLS,
+  GROUP: TokenType.GROUP,
+  HAVING: TokenType.HAVING,
+  LIMIT: TokenType.LIMIT,
+  OFFSET: TokenType.OFFSET,
+  DISTINCT: TokenType.DISTINCT,
+  WITH: TokenType.WITH,
+  RECURSIVE: TokenType.RECURSIVE,
+  UNION: TokenType.UNION,
+  INTERSECT: TokenType.INTERSECT,
+  EXCEPT: TokenType.EXCEPT,
   JOIN: TokenType.JOIN,
-  // INNER: TokenType.INNER, // Commented: Not in TokenType
-  // LEFT: TokenType.LEFT, // Commented: Not in TokenType
-  // RIGHT: TokenType.RIGHT, // Commented: Not in TokenType
+  INNER: TokenType.INNER,
+  OUTER: TokenType.OUTER,
+  CROSS: TokenType.CROSS,
   ON: TokenType.ON,
-  // AS: "AS", // Commented: Not defined in TokenType
+  AS: TokenType.AS,
+  CONFLICT: TokenType.CONFLICT,
+  NOTHING: TokenType.NOTHING,
+
+  // Constraints
+  PRIMARY: TokenType.PRIMARY,
+  FOREIGN: TokenType.FOREIGN,
+  REFERENCES: TokenType.REFERENCES,
+  UNIQUE: TokenType.UNIQUE,
+  DEFAULT: TokenType.DEFAULT,
+  CHECK: TokenType.CHECK,
+  CONSTRAINT: TokenType.CONSTRAINT,
 
   // Data Types - ONLY KEEPING WHAT'S IN TokenType
   INT: TokenType.INT,
@@ -291,11 +344,9 @@ const Keywords = Object.freeze({
   // DATETIME: TokenType.DATETIME, // Commented: Not in TokenType
 
   // Functions
-  // COUNT: TokenType.COUNT, // Commented: Not in TokenType
-  // SUM: TokenType.SUM, // Commented: Not in TokenType
-  // AVG: TokenType.AVG, // Commented: Not in TokenType
-  // MIN: TokenType.MIN, // Commented: Not in TokenType
-  // MAX: TokenType.MAX, // Commented: Not in TokenType
+  CURRENT_DATE: TokenType.CURRENT_DATE,
+  OVER: TokenType.OVER,
+  PARTITION: TokenType.PARTITION,
 
   // Commands
   USE: TokenType.USE,
@@ -334,11 +385,11 @@ const Operators = Object.freeze({
   // "]": TokenType.RIGHT_BRACKET, // Commented: Not in TokenType
   // "{": TokenType.LEFT_BRACE, // Commented: Not in TokenType
   // "}": TokenType.RIGHT_BRACE, // Commented: Not in TokenType
-  // "+": TokenType.PLUS, // Commented: Not in TokenType
-  // "-": TokenType.MINUS, // Commented: Not in TokenType
+  "+": TokenType.PLUS,
+  "-": TokenType.MINUS,
   "*": TokenType.ASTERISK,
-  // "/": TokenType.SLASH, // Commented: Not in TokenType
-  // "%": TokenType.PERCENT, // Commented: Not in TokenType
+  "/": TokenType.SLASH,
+  "%": TokenType.PERCENT,
   "=": TokenType.ASSIGN,
   "<": TokenType.LESS_THAN,
   ">": TokenType.GREATER_THAN,
@@ -351,12 +402,12 @@ const Operators = Object.freeze({
   // Multi-character operators
   // "::": TokenType.DOUBLE_COLON, // Commented: Not in TokenType
   // "==": TokenType.EQUAL, // Commented: Not in TokenType
-  // "!=": TokenType.NOT_EQUAL, // Commented: Not in TokenType
-  // "<>": TokenType.NOT_EQUAL, // Commented: Not in TokenType
-  // "<=": TokenType.LESS_EQUAL, // Commented: Not in TokenType
-  // ">=": TokenType.GREATER_EQUAL, // Commented: Not in TokenType
+  "!=": TokenType.NOT_EQUAL,
+  "<>": TokenType.NOT_EQUAL,
+  "<=": TokenType.LESS_EQUAL,
+  ">=": TokenType.GREATER_EQUAL,
   // "<=>": TokenType.SPACESHIP, // Commented: Not in TokenType
-  // "||": TokenType.CONCAT, // Commented: Not in TokenType
+  "||": TokenType.CONCAT,
   // "<<": TokenType.LSHIFT, // Commented: Not in TokenType
   // ">>": TokenType.RSHIFT, // Commented: Not in TokenType
   // ":=": TokenType.WALRUS, // Commented: Not in TokenType
@@ -410,7 +461,7 @@ class Token {
     const literals = [
       TokenType.STRING,
       TokenType.INTEGER,
-      // TokenType.FLOAT, // Commented: Not in TokenType
+      TokenType.FLOAT,
       // TokenType.HEX, // Commented: Not in TokenType
       // TokenType.BINARY, // Commented: Not in TokenType
       TokenType.TRUE,
@@ -559,12 +610,18 @@ class Lexer {
     return this.input.slice(start, this.position);
   }
 
-  /** @returns {string} A string representing a numeric literal. */
+  /** @returns {string} A string representing a numeric literal, e.g. "42" or "2.5". */
   readNumber() {
     const start = this.position;
     while (this.isDigit(this.ch)) {
       this.readChar();
     }
+    if (this.ch === "." && this.isDigit(this.peekChar())) {
+      this.readChar(); // consume '.'
+      while (this.isDigit(this.ch)) {
+        this.readChar();
+      }
+    }
     return this.input.slice(start, this.position);
   }
 
@@ -633,13 +690,52 @@ class Lexer {
         this.readChar(); // Move past "="
         return token;
       case "<":
-        token = new Token(TokenType.LESS_THAN, "<", line, col);
+        // Look ahead for the two-character forms "<=" and "<>"
+        if (this.peekChar() === "=" || this.peekChar() === ">") {
+          const op = this.ch + this.peekChar();
+          this.readChar();
+          token = new Token(TokenUtils.getOperatorType(op), op, line, col);
+        } else {
+          token = new Token(TokenType.LESS_THAN, "<", line, col);
+        }
         break;
       case ">":
-        token = new Token(TokenType.GREATER_THAN, ">", line, col);
+        if (this.peekChar() === "=") {
+          this.readChar();
+          token = new Token(TokenType.GREATER_EQUAL, ">=", line, col);
+        } else {
+          token = new Token(TokenType.GREATER_THAN, ">", line, col);
+        }
         break;
+      case "!":
+        // "!" is only meaningful as part of "!="
+        if (this.peekChar() === "=") {
+          this.readChar();
+          token = new Token(TokenType.NOT_EQUAL, "!=", line, col);
+        } else {
+          token = new Token(TokenType.ILLEGAL, "!", line, col);
+        }
+        break;
+      case "+":
+      case "-":
       case "*":
-        token = new Token(TokenType.ASTERISK, "*", line, col);
+      case "/":
+      case "%":
+        token = new Token(
+          TokenUtils.getOperatorType(this.ch),
+          this.ch,
+          line,
+          col
+        );
+        break;
+      case "|":
+        // "|" is only meaningful as part of "||"
+        if (this.peekChar() === "|") {
+          this.readChar();
+          token = new Token(TokenType.CONCAT, "||", line, col);
+        } else {
+          token = new Token(TokenType.ILLEGAL, "|", line, col);
+        }
         break;
       case ",":
         token = new Token(TokenType.COMMA, ",", line, col);
@@ -676,7 +772,10 @@ class Lexer {
           return token; // Early return since we already read the identifier
         } else if (this.isDigit(this.ch)) {
           const num = this.readNumber();
-          token = new Token(TokenType.INTEGER, num, line, col);
+          const numType = num.includes(".")
+            ? TokenType.FLOAT
+            : TokenType.INTEGER;
+          token = new Token(numType, num, line, col);
           return token; // Early return since we already read the number
         } else {
           // Handle unknown characters
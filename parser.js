@@ -63,6 +63,18 @@ class Parser {
     }
   }
 
+  /**
+   * @method peekToken
+   * @description Returns the token after the current one without consuming anything.
+   * @returns {Token} The lookahead token (EOF when past the end).
+   */
+  peekToken() {
+    return (
+      this.tokens[this.currentTokenIndex + 1] ||
+      new Token(TokenType.EOF, "", 0, 0)
+    );
+  }
+
   /**
    * @method expect
    * @description Asserts that the current token is of a specific type.
@@ -80,13 +92,46 @@ class Parser {
     throw new Error(`Expected ${tokenType}, got ${this.currentToken.type}`);
   }
 
+  /**
+   * @method isWord
+   * @description Checks whether a token is a given non-reserved word. Words that
+   * only mean something in one position (FIRST after NULLS, TYPE in ALTER
+   * COLUMN, ...) are lexed as identifiers and matched here, so they stay usable
+   * as column names everywhere else.
+   * @param {string} word - The upper-case word.
+   * @param {Token} [token=this.currentToken] - The token to check.
+   * @returns {boolean} True if the token is that word.
+   */
+  isWord(word, token = this.currentToken) {
+    return (
+      token.type === TokenType.IDENTIFIER &&
+      token.literal.toUpperCase() === word
+    );
+  }
+
+  /**
+   * @method expectWord
+   * @description Like expect(), for a non-reserved word (see isWord).
+   * @param {string} word - The upper-case word.
+   * @returns {Token} The consumed token.
+   * @throws {Error} Syntax error if the current token is not that word.
+   */
+  expectWord(word) {
+    if (this.isWord(word)) {
+      const token = this.currentToken;
+      this.nextToken();
+      return token;
+    }
+    throw new Error(`Expected ${word}, got ${this.currentToken.type}`);
+  }
+
   /**
    * @method parseStatement
    * @description Determines the type of SQL statement to parse based on the current lookahead token.
    * @returns {Object} AST statement node.
    */
   parseStatement() {
-    if (this.currentToken.type === TokenType.SELECT) {
+    if (this.isQueryStart()) {
       return this.parseSelectStatement();
     } else if (this.currentToken.type === TokenType.INSERT) {
       return this.parseInsertStatement();
@@ -96,6 +141,12 @@ class Parser {
       return this.parseDeleteStatement();
     } else if (this.currentToken.type === TokenType.CREATE) {
       return this.parseCreateStatement();
+    } else if (this.currentToken.type === TokenType.DROP) {
+      return this.parseDropStatement();
+    } else if (this.currentToken.type === TokenType.ALTER) {
+      return this.parseAlterStatement();
+    } else if (this.currentToken.type === TokenType.TRUNCATE) {
+      return this.parseTruncateStatement();
     } else if (this.currentToken.type === TokenType.USE) {
       return this.parseUseStatement();
     } else if (this.currentToken.type === TokenType.SHOW) {
@@ -111,152 +162,1035 @@ class Parser {
 
   /**
    * @method parseSelectStatement
-   * @description Parses SELECT queries, including column lists, JOINs, and WHERE clauses.
-   * @returns {Object} AST node for SelectStatement.
+   * @description Parses a top-level SELECT query terminated by a semicolon.
+   * @returns {Object} AST node for SelectStatement or SetOperation.
    */
   parseSelectStatement() {
+    const query = this.parseSelectQuery();
+    this.expect(TokenType.SEMICOLON);
+    return query;
+  }
+
+  /**
+   * @method parseSelectQuery
+   * @description Parses a full query: an optional WITH prefix, one or more SELECTs
+   * combined with set operations, then ORDER BY and LIMIT/OFFSET, which apply to
+   * the whole result. Used both for statements and for subqueries, so it stops
+   * before any terminating semicolon.
+   * @returns {Object} AST node for SelectStatement or SetOperation.
+   */
+  parseSelectQuery() {
+    let withClause = null;
+    if (this.currentToken.type === TokenType.WITH) {
+      withClause = this.parseWithClause();
+    }
+
+    const query = this.parseUnionExpression();
+    query.with = withClause;
+
+    if (this.currentToken.type === TokenType.ORDER) {
+      query.orderBy = this.parseOrderBy();
+    }
+
+    if (this.currentToken.type === TokenType.LIMIT) {
+      this.nextToken(); // consume LIMIT
+      query.limit = parseInt(this.expect(TokenType.INTEGER).literal);
+      if (this.currentToken.type === TokenType.OFFSET) {
+        this.nextToken(); // consume OFFSET
+        query.offset = parseInt(this.expect(TokenType.INTEGER).literal);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * @method parseUnionExpression
+   * @description Parses SELECTs joined by UNION or EXCEPT [ALL], left to right.
+   * INTERSECT binds tighter, as in standard SQL.
+   * @returns {Object} AST node for SelectStatement or SetOperation.
+   */
+  parseUnionExpression() {
+    let left = this.parseIntersectExpression();
+
+    while (
+      this.currentToken.type === TokenType.UNION ||
+      this.currentToken.type === TokenType.EXCEPT
+    ) {
+      const operator = this.currentToken.type;
+      const all = this.parseSetQuantifier();
+      const right = this.parseIntersectExpression();
+      left = this.setOperation(operator, all, left, right);
+    }
+    return left;
+  }
+
+  /**
+   * @method parseIntersectExpression
+   * @returns {Object} AST node for SelectStatement or SetOperation.
+   */
+  parseIntersectExpression() {
+    let left = this.parseSelectCore();
+
+    while (this.currentToken.type === TokenType.INTERSECT) {
+      const all = this.parseSetQuantifier();
+      const right = this.parseSelectCore();
+      left = this.setOperation("INTERSECT", all, left, right);
+    }
+    return left;
+  }
+
+  /**
+   * @method parseSetQuantifier
+   * @description Consumes a set operator and an optional ALL after it.
+   * @returns {boolean} True when ALL was given.
+   */
+  parseSetQuantifier() {
+    this.nextToken(); // consume UNION / INTERSECT / EXCEPT
+    if (this.isWord("ALL")) {
+      this.nextToken();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @method setOperation
+   * @description Builds a SetOperation node; ORDER BY and LIMIT are filled in by
+   * parseSelectQuery() when they follow the last SELECT.
+   * @returns {Object} AST node for SetOperation.
+   */
+  setOperation(operator, all, left, right) {
+    return {
+      type: "SetOperation",
+      with: null,
+      operator,
+      all,
+      left,
+      right,
+      orderBy: null,
+      limit: null,
+      offset: 0,
+    };
+  }
+
+  /**
+   * @method parseSelectCore
+   * @description Parses a single SELECT: [DISTINCT [ON (...)]], column list, FROM, JOINs, WHERE, GROUP BY
+   * and HAVING.
+   * @returns {Object} AST node for SelectStatement.
+   */
+  parseSelectCore() {
     this.expect(TokenType.SELECT);
+    const { distinct, distinctOn } = this.parseSelectQuantifier();
     const columns = this.parseColumnList();
     this.expect(TokenType.FROM);
+    const { table, alias } = this.parseTableReference();
+
+    const joins = [];
+    let joinType = this.parseJoinType();
+    while (joinType) {
+      const joinTable = this.parseTableReference();
+
+      // CROSS JOIN pairs every row, so it takes no ON condition
+      let on = null;
+      if (joinType !== "CROSS") {
+        this.expect(TokenType.ON);
+        on = this.parseExpression();
+      }
+
+      joins.push({ joinType, ...joinTable, on });
+      joinType = this.parseJoinType();
+    }
+
+    let whereClause = null;
+    if (this.currentToken.type === TokenType.WHERE) {
+      whereClause = this.parseWhereClause();
+    }
+
+    let groupBy = null;
+    if (this.currentToken.type === TokenType.GROUP) {
+      this.nextToken(); // consume GROUP
+      this.expect(TokenType.BY);
+      groupBy = this.parseExpressionList();
+    }
+
+    let having = null;
+    if (this.currentToken.type === TokenType.HAVING) {
+      this.nextToken(); // consume HAVING
+      having = this.parseExpression();
+    }
+
+    return {
+      type: "SelectStatement",
+      with: null,
+      distinct,
+      distinctOn,
+      columns,
+      table,
+      alias,
+      joins,
+      where: whereClause,
+      groupBy,
+      having,
+      orderBy: null,
+      limit: null,
+      offset: 0,
+    };
+  }
+
+  /**
+   * @method parseSelectQuantifier
+   * @description Parses the optional ALL, DISTINCT or DISTINCT ON (expr, ...)
+   * following SELECT. ALL is a plain word, taken as the quantifier only when a
+   * select item follows it, so "SELECT all FROM t" reads a column named "all".
+   * @returns {{distinct: boolean, distinctOn: Object[]|null}} Whether duplicate
+   * rows are removed, and the expressions that decide which rows are duplicates
+   * (null to compare whole result rows).
+   */
+  parseSelectQuantifier() {
+    const next = this.peekToken();
+    const itemFollows =
+      next.isLiteral() ||
+      [
+        TokenType.IDENTIFIER,
+        TokenType.ASTERISK,
+        TokenType.LEFT_PAREN,
+        TokenType.CASE,
+        TokenType.NOT,
+        TokenType.EXISTS,
+        TokenType.CURRENT_DATE,
+      ].includes(next.type);
+    if (this.isWord("ALL") && itemFollows) {
+      this.nextToken();
+      return { distinct: false, distinctOn: null };
+    }
+    if (this.currentToken.type !== TokenType.DISTINCT) {
+      return { distinct: false, distinctOn: null };
+    }
+    this.nextToken(); // consume DISTINCT
+
+    let distinctOn = null;
+    if (this.currentToken.type === TokenType.ON) {
+      this.nextToken();
+      this.expect(TokenType.LEFT_PAREN);
+      distinctOn = this.parseExpressionList();
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+    return { distinct: true, distinctOn };
+  }
+
+  /**
+   * @method isQueryStart
+   * @description Checks whether the current token begins a (sub)query.
+   * @returns {boolean} True for SELECT or WITH.
+   */
+  isQueryStart() {
+    return (
+      this.currentToken.type === TokenType.SELECT ||
+      this.currentToken.type === TokenType.WITH
+    );
+  }
+
+  /**
+   * @method parseWithClause
+   * @description Parses WITH [RECURSIVE] name [(col, ...)] AS (query), ... into a
+   * list of common table expressions. A recursive CTE is written as an anchor
+   * query, UNION [ALL], and a recursive query that reads the CTE itself.
+   * @returns {Object[]} CTE definitions, in declaration order.
+   */
+  parseWithClause() {
+    this.expect(TokenType.WITH);
+    let recursive = false;
+    if (this.currentToken.type === TokenType.RECURSIVE) {
+      this.nextToken();
+      recursive = true;
+    }
+
+    const ctes = [];
+    do {
+      if (ctes.length > 0) this.nextToken(); // consume ','
+      const name = this.expect(TokenType.IDENTIFIER).literal;
+
+      let columns = null;
+      if (this.currentToken.type === TokenType.LEFT_PAREN) {
+        this.nextToken();
+        columns = [this.expect(TokenType.IDENTIFIER).literal];
+        while (this.currentToken.type === TokenType.COMMA) {
+          this.nextToken();
+          columns.push(this.expect(TokenType.IDENTIFIER).literal);
+        }
+        this.expect(TokenType.RIGHT_PAREN);
+      }
+
+      this.expect(TokenType.AS);
+      this.expect(TokenType.LEFT_PAREN);
+      const body = this.parseSelectQuery();
+      this.expect(TokenType.RIGHT_PAREN);
+
+      // Only a UNION whose last SELECT reads the CTE itself is recursive
+      if (
+        recursive &&
+        body.type === "SetOperation" &&
+        body.operator === "UNION" &&
+        this.readsTable(body.right, name)
+      ) {
+        if (body.orderBy || body.limit !== null) {
+          throw new Error(
+            `ORDER BY and LIMIT are not supported in recursive query '${name}'`
+          );
+        }
+        ctes.push({
+          name,
+          columns,
+          query: { ...body.left, with: body.with },
+          recursiveQuery: body.right,
+          unionAll: body.all,
+        });
+      } else {
+        ctes.push({ name, columns, query: body, recursiveQuery: null });
+      }
+    } while (this.currentToken.type === TokenType.COMMA);
+
+    return ctes;
+  }
+
+  /**
+   * @method readsTable
+   * @description Checks whether a query reads the named table in FROM or a JOIN.
+   * @param {Object} query - SelectStatement or SetOperation node.
+   * @param {string} name - Table name.
+   * @returns {boolean} True if the table is read.
+   */
+  readsTable(query, name) {
+    if (query.type === "SetOperation") {
+      return (
+        this.readsTable(query.left, name) || this.readsTable(query.right, name)
+      );
+    }
+    return query.table === name || query.joins.some((j) => j.table === name);
+  }
+
+  /**
+   * @method parseOrderBy
+   * @description Parses ORDER BY key [ASC|DESC] [NULLS FIRST|LAST], ... into a list of sort keys.
+   * @returns {Object[]} Sort keys with expression, direction and nulls placement.
+   */
+  parseOrderBy() {
+    this.expect(TokenType.ORDER);
+    this.expect(TokenType.BY);
+
+    const keys = [];
+    do {
+      if (keys.length > 0) this.nextToken(); // consume ','
+      const expression = this.parseExpression();
+
+      let direction = "ASC";
+      if (
+        this.currentToken.type === TokenType.ASC ||
+        this.currentToken.type === TokenType.DESC
+      ) {
+        direction = this.currentToken.type;
+        this.nextToken();
+      }
+
+      // null means "use the default for this direction"
+      let nulls = null;
+      if (this.currentToken.type === TokenType.NULLS) {
+        this.nextToken();
+        if (!this.isWord("FIRST") && !this.isWord("LAST")) {
+          throw new Error(
+            `Expected FIRST or LAST after NULLS, got ${this.currentToken.type}`
+          );
+        }
+        nulls = this.currentToken.literal.toUpperCase();
+        this.nextToken();
+      }
+
+      keys.push({ expression, direction, nulls });
+    } while (this.currentToken.type === TokenType.COMMA);
+
+    return keys;
+  }
+
+  /**
+   * @method parseTableReference
+   * @description Parses a table name with an optional alias: "users", "users u" or "users AS u".
+   * @returns {{table: string, alias: string|null}} The table and its alias.
+   */
+  parseTableReference() {
     const table = this.expect(TokenType.IDENTIFIER).literal;
 
-    let joinClause = null;
-    if (this.currentToken.type === TokenType.JOIN) {
-      this.nextToken(); // Consume JOIN
-      const joinTable = this.expect(TokenType.IDENTIFIER).literal;
-      this.expect(TokenType.ON);
+    let alias = null;
+    if (this.currentToken.type === TokenType.AS) {
+      this.nextToken();
+      alias = this.expect(TokenType.IDENTIFIER).literal;
+    } else if (
+      this.currentToken.type === TokenType.IDENTIFIER &&
+      !this.outerJoinSide()
+    ) {
+      alias = this.currentToken.literal;
+      this.nextToken();
+    }
+    return { table, alias };
+  }
+
+  /**
+   * @method outerJoinSide
+   * @description Recognises LEFT, RIGHT or FULL starting an outer join. They are
+   * only join words when followed by OUTER or JOIN, so "left" and "right" stay
+   * usable as column names and table aliases.
+   * @returns {string|null} LEFT, RIGHT or FULL; null if no outer join starts here.
+   */
+  outerJoinSide() {
+    const side = ["LEFT", "RIGHT", "FULL"].find((word) => this.isWord(word));
+    const next = this.peekToken().type;
+    return side && (next === TokenType.OUTER || next === TokenType.JOIN)
+      ? side
+      : null;
+  }
+
+  /**
+   * @method parseJoinType
+   * @description Consumes a join keyword sequence: [INNER] JOIN, LEFT|RIGHT|FULL
+   * [OUTER] JOIN, or CROSS JOIN.
+   * @returns {string|null} INNER, LEFT, RIGHT, FULL or CROSS; null if no join follows.
+   */
+  parseJoinType() {
+    const type = this.currentToken.type;
+    if (type === TokenType.JOIN) {
+      this.nextToken();
+      return "INNER";
+    }
+
+    if (type === TokenType.INNER || type === TokenType.CROSS) {
+      this.nextToken();
+      this.expect(TokenType.JOIN);
+      return type;
+    }
+
+    const side = this.outerJoinSide();
+    if (side) {
+      this.nextToken();
+      if (this.currentToken.type === TokenType.OUTER) this.nextToken();
+      this.expect(TokenType.JOIN);
+      return side;
+    }
+
+    return null;
+  }
+
+  /**
+   * @method parseColumnList
+   * @description Parses a comma-separated select list of columns, aggregate calls,
+   * other expressions and the "*" / "table.*" wildcards.
+   * @returns {Object[]} List of select item nodes.
+   */
+  parseColumnList() {
+    const columns = [this.parseSelectItem()];
+    while (this.currentToken.type === TokenType.COMMA) {
+      this.nextToken();
+      columns.push(this.parseSelectItem());
+    }
+    return columns;
+  }
+
+  /**
+   * @method parseSelectItem
+   * @description Parses one select list entry: "*", "alias.*", or an expression
+   * optionally renamed with "AS name".
+   * @returns {Object} A Star node, an expression node, or an Alias node wrapping one.
+   */
+  parseSelectItem() {
+    if (this.currentToken.type === TokenType.ASTERISK) {
+      this.nextToken();
+      return { type: "Star", table: null };
+    }
+
+    if (
+      this.currentToken.type === TokenType.IDENTIFIER &&
+      this.peekToken().type === TokenType.PERIOD &&
+      this.tokens[this.currentTokenIndex + 2] &&
+      this.tokens[this.currentTokenIndex + 2].type === TokenType.ASTERISK
+    ) {
+      const table = this.currentToken.literal;
+      this.nextToken(); // table
+      this.nextToken(); // '.'
+      this.nextToken(); // '*'
+      return { type: "Star", table };
+    }
+
+    const expression = this.parseExpression();
+    if (this.currentToken.type === TokenType.AS) {
+      this.nextToken();
+      const alias = this.expect(TokenType.IDENTIFIER).literal;
+      return { type: "Alias", expression, alias };
+    }
+    return expression;
+  }
+
+  /**
+   * @method parseExpressionList
+   * @description Parses one or more comma-separated expressions (e.g. GROUP BY keys).
+   * @returns {Object[]} List of expression nodes.
+   */
+  parseExpressionList() {
+    const expressions = [this.parseExpression()];
+    while (this.currentToken.type === TokenType.COMMA) {
+      this.nextToken();
+      expressions.push(this.parseExpression());
+    }
+    return expressions;
+  }
+
+  /**
+   * @method parseWhereClause
+   * @description Parses the WHERE keyword followed by a boolean condition.
+   * @returns {Object} Root node of the condition expression tree.
+   */
+  parseWhereClause() {
+    this.expect(TokenType.WHERE);
+    return this.parseExpression();
+  }
+
+  /**
+   * @method parseExpression
+   * @description Entry point for expressions. Precedence from loosest to tightest
+   * is OR, AND, NOT, comparisons, "||", "+"/"-", "*"/"/"/"%", unary minus, then a
+   * single operand or parenthesized group.
+   * @returns {Object} AST node for the expression.
+   */
+  parseExpression() {
+    return this.parseOrExpression();
+  }
+
+  /**
+   * @method parseOrExpression
+   * @returns {Object} LogicalExpression node, or the operand when no OR follows.
+   */
+  parseOrExpression() {
+    let left = this.parseAndExpression();
+
+    while (this.currentToken.type === TokenType.OR) {
+      this.nextToken(); // consume OR
+      const right = this.parseAndExpression();
+      left = { type: "LogicalExpression", operator: "OR", left, right };
+    }
+    return left;
+  }
+
+  /**
+   * @method parseAndExpression
+   * @returns {Object} LogicalExpression node, or the operand when no AND follows.
+   */
+  parseAndExpression() {
+    let left = this.parseNotExpression();
+
+    while (this.currentToken.type === TokenType.AND) {
+      this.nextToken(); // consume AND
+      const right = this.parseNotExpression();
+      left = { type: "LogicalExpression", operator: "AND", left, right };
+    }
+    return left;
+  }
+
+  /**
+   * @method parseNotExpression
+   * @returns {Object} UnaryExpression node for NOT, or a comparison.
+   */
+  parseNotExpression() {
+    if (this.currentToken.type === TokenType.NOT) {
+      this.nextToken(); // consume NOT
+      return {
+        type: "UnaryExpression",
+        operator: "NOT",
+        operand: this.parseNotExpression(),
+      };
+    }
+    return this.parseComparison();
+  }
+
+  /**
+   * @method parseComparison
+   * @description Parses a predicate on a value expression: the comparison operators
+   * ('=', '!=', '<>', '<', '>', '<=', '>='), [NOT] BETWEEN, [NOT] IN, IS [NOT] NULL
+   * and the pattern matches [NOT] LIKE, [NOT] ILIKE and [NOT] REGEXP.
+   * A lone value (e.g. a BOOLEAN column) is also accepted as a condition.
+   * @returns {Object} AST node for the predicate, or the operand itself.
+   */
+  parseComparison() {
+    const left = this.parseConcatExpression();
+
+    const comparisonOperators = [
+      TokenType.ASSIGN,
+      TokenType.NOT_EQUAL,
+      TokenType.LESS_THAN,
+      TokenType.GREATER_THAN,
+      TokenType.LESS_EQUAL,
+      TokenType.GREATER_EQUAL,
+    ];
+
+    if (comparisonOperators.includes(this.currentToken.type)) {
+      const operator = this.currentToken.literal;
+      this.nextToken();
+      return {
+        type: "BinaryExpression",
+        operator,
+        left,
+        right: this.parseConcatExpression(),
+      };
+    }
+
+    if (this.currentToken.type === TokenType.IS) {
+      this.nextToken(); // consume IS
+      let negated = false;
+      if (this.currentToken.type === TokenType.NOT) {
+        this.nextToken();
+        negated = true;
+      }
+      this.expect(TokenType.NULL);
+      return { type: "IsNullExpression", operand: left, negated };
+    }
+
+    // NOT here can only introduce NOT BETWEEN / NOT IN / NOT LIKE ...
+    const patternOperators = [
+      TokenType.LIKE,
+      TokenType.ILIKE,
+      TokenType.REGEXP,
+    ];
+    let negated = false;
+    if (
+      this.currentToken.type === TokenType.NOT &&
+      [TokenType.BETWEEN, TokenType.IN, ...patternOperators].includes(
+        this.peekToken().type
+      )
+    ) {
+      this.nextToken();
+      negated = true;
+    }
+
+    if (patternOperators.includes(this.currentToken.type)) {
+      const operator = this.currentToken.type;
+      this.nextToken();
+      const pattern = this.parseConcatExpression();
+      let escape = null;
+      if (
+        operator !== TokenType.REGEXP &&
+        this.currentToken.type === TokenType.ESCAPE
+      ) {
+        this.nextToken();
+        escape = this.parseConcatExpression();
+      }
+      return {
+        type: "PatternExpression",
+        operator,
+        operand: left,
+        pattern,
+        escape,
+        negated,
+      };
+    }
+
+    if (this.currentToken.type === TokenType.BETWEEN) {
+      this.nextToken(); // consume BETWEEN
+      // Bounds stop below AND, so the AND here is not read as a logical AND
+      const low = this.parseConcatExpression();
+      this.expect(TokenType.AND);
+      const high = this.parseConcatExpression();
+      return { type: "BetweenExpression", operand: left, low, high, negated };
+    }
+
+    if (this.currentToken.type === TokenType.IN) {
+      this.nextToken(); // consume IN
+      this.expect(TokenType.LEFT_PAREN);
+      if (this.isQueryStart()) {
+        const subquery = this.parseSelectQuery();
+        this.expect(TokenType.RIGHT_PAREN);
+        return { type: "InExpression", operand: left, subquery, negated };
+      }
+      const values = [this.parseConcatExpression()];
+      while (this.currentToken.type === TokenType.COMMA) {
+        this.nextToken();
+        values.push(this.parseConcatExpression());
+      }
+      this.expect(TokenType.RIGHT_PAREN);
+      return { type: "InExpression", operand: left, values, negated };
+    }
+
+    return left;
+  }
+
+  /**
+   * @method parseConcatExpression
+   * @description Parses string concatenation with "||", which binds more loosely
+   * than arithmetic, so "'total: ' || price * qty" concatenates the product.
+   * @returns {Object} BinaryExpression node, or the operand when no "||" follows.
+   */
+  parseConcatExpression() {
+    let left = this.parseAdditiveExpression();
+
+    while (this.currentToken.type === TokenType.CONCAT) {
+      this.nextToken(); // consume '||'
+      const right = this.parseAdditiveExpression();
+      left = { type: "BinaryExpression", operator: "||", left, right };
+    }
+    return left;
+  }
+
+  /**
+   * @method parseAdditiveExpression
+   * @returns {Object} BinaryExpression node for + and -, or the operand.
+   */
+  parseAdditiveExpression() {
+    let left = this.parseMultiplicativeExpression();
+
+    while (
+      this.currentToken.type === TokenType.PLUS ||
+      this.currentToken.type === TokenType.MINUS
+    ) {
+      const operator = this.currentToken.literal;
+      this.nextToken();
+      const right = this.parseMultiplicativeExpression();
+      left = { type: "BinaryExpression", operator, left, right };
+    }
+    return left;
+  }
+
+  /**
+   * @method parseMultiplicativeExpression
+   * @returns {Object} BinaryExpression node for *, / and %, or the operand.
+   */
+  parseMultiplicativeExpression() {
+    let left = this.parseUnaryExpression();
+
+    while (
+      [TokenType.ASTERISK, TokenType.SLASH, TokenType.PERCENT].includes(
+        this.currentToken.type
+      )
+    ) {
+      const operator = this.currentToken.literal;
+      this.nextToken();
+      const right = this.parseUnaryExpression();
+      left = { type: "BinaryExpression", operator, left, right };
+    }
+    return left;
+  }
+
+  /**
+   * @method parseUnaryExpression
+   * @returns {Object} UnaryExpression node for a leading minus, or the operand.
+   */
+  parseUnaryExpression() {
+    if (this.currentToken.type === TokenType.MINUS) {
+      this.nextToken(); // consume '-'
+      return {
+        type: "UnaryExpression",
+        operator: "-",
+        operand: this.parseUnaryExpression(),
+      };
+    }
+    if (this.currentToken.type === TokenType.PLUS) {
+      this.nextToken(); // unary plus changes nothing
+      return this.parseUnaryExpression();
+    }
+    return this.parseOperand();
+  }
+
+  /**
+   * @method parseOperand
+   * @description Parses a parenthesized group, a scalar subquery "(SELECT ...)",
+   * EXISTS (SELECT ...), a function call, a column reference ("id" or "users.id"),
+   * an aggregate call, or a literal value.
+   * @returns {Object} AST node for the operand.
+   */
+  parseOperand() {
+    if (this.currentToken.type === TokenType.LEFT_PAREN) {
+      this.nextToken(); // consume '('
+      if (this.isQueryStart()) {
+        const query = this.parseSelectQuery();
+        this.expect(TokenType.RIGHT_PAREN);
+        return { type: "SubqueryExpression", query };
+      }
+      const expression = this.parseExpression();
+      this.expect(TokenType.RIGHT_PAREN);
+      return expression;
+    }
+
+    if (this.currentToken.type === TokenType.EXISTS) {
+      this.nextToken(); // consume EXISTS
+      this.expect(TokenType.LEFT_PAREN);
+      const query = this.parseSelectQuery();
+      this.expect(TokenType.RIGHT_PAREN);
+      return { type: "ExistsExpression", query };
+    }
+
+    if (this.currentToken.type === TokenType.CASE) {
+      return this.parseCaseExpression();
+    }
 
-      // Use parseIdentifier() instead of expect(IDENTIFIER)
-      const leftCol = this.parseIdentifier();
-      this.expect(TokenType.ASSIGN);
-      const rightCol = this.parseIdentifier();
+    if (
+      this.currentToken.type === TokenType.IDENTIFIER &&
+      this.peekToken().type === TokenType.LEFT_PAREN
+    ) {
+      return this.parseOverClause(this.parseFunctionCall());
+    }
 
-      joinClause = { table: joinTable, leftCol, rightCol };
+    if (this.currentToken.type === TokenType.IDENTIFIER) {
+      return { type: "ColumnRef", name: this.parseIdentifier() };
     }
 
-    let whereClause = null;
-    if (this.currentToken.type === TokenType.WHERE) {
-      whereClause = this.parseWhereClause();
+    if (this.currentToken.type === TokenType.CURRENT_DATE) {
+      this.nextToken();
+      return {
+        type: "FunctionCall",
+        name: "CURRENT_DATE",
+        args: [],
+        distinct: false,
+        star: false,
+      };
     }
 
-    this.expect(TokenType.SEMICOLON);
+    if (this.currentToken.isLiteral()) {
+      return { type: "Literal", value: this.parseValue() };
+    }
 
-    return {
-      type: "SelectStatement",
-      columns,
-      table,
-      join: joinClause,
-      where: whereClause,
-    };
+    throw new Error(`Invalid value in expression: ${this.currentToken.type}`);
   }
 
   /**
-   * @method parseColumnList
-   * @description Parses a comma-separated list of columns or the asterisk (*) wildcard.
-   * @returns {string[]} List of column names.
+   * @method parseCaseExpression
+   * @description Parses a searched CASE (CASE WHEN cond THEN result ... END) or a
+   * simple CASE (CASE value WHEN match THEN result ... END), each with an
+   * optional ELSE.
+   * @returns {Object} AST node for CaseExpression; operand is null for the
+   * searched form.
+   * @throws {Error} If there is no WHEN clause.
    */
-  parseColumnList() {
-    const columns = [];
-    if (this.currentToken.type === TokenType.ASTERISK) {
-      columns.push("*");
-      this.nextToken();
-    } else {
-      // Use parseIdentifier()
-      columns.push(this.parseIdentifier());
+  parseCaseExpression() {
+    this.expect(TokenType.CASE);
+    const operand =
+      this.currentToken.type === TokenType.WHEN || this.isWord("END")
+        ? null
+        : this.parseExpression();
 
-      while (this.currentToken.type === TokenType.COMMA) {
-        this.nextToken();
-        // Use parseIdentifier()
-        columns.push(this.parseIdentifier());
-      }
+    const branches = [];
+    while (this.currentToken.type === TokenType.WHEN) {
+      this.nextToken(); // consume WHEN
+      const when = this.parseExpression();
+      this.expect(TokenType.THEN);
+      branches.push({ when, then: this.parseExpression() });
     }
-    return columns;
+    if (branches.length === 0) {
+      throw new Error("CASE requires at least one WHEN clause");
+    }
+
+    let otherwise = null;
+    if (this.currentToken.type === TokenType.ELSE) {
+      this.nextToken();
+      otherwise = this.parseExpression();
+    }
+    this.expectWord("END");
+
+    return { type: "CaseExpression", operand, branches, else: otherwise };
   }
 
   /**
-   * @method parseWhereClause
-   * @description Parses WHERE conditions, supporting '=', '>', and '<' operators.
-   * @returns {Object} AST node for WhereClause.
+   * @method parseFunctionCall
+   * @description Parses a call to a scalar or aggregate function, such as
+   * UPPER(name), NOW(), COUNT(*) or COUNT(DISTINCT price). The name is not
+   * checked here; unknown functions are reported when evaluated.
+   * @returns {Object} AST node for FunctionCall.
+   * @throws {Error} If "*" is used as the argument of anything but COUNT.
    */
-  parseWhereClause() {
-    this.expect(TokenType.WHERE);
+  parseFunctionCall() {
+    const name = this.expect(TokenType.IDENTIFIER).literal.toUpperCase();
+    this.expect(TokenType.LEFT_PAREN);
 
-    // Use parseIdentifier() instead of expect(IDENTIFIER)
-    // This allows "WHERE users.id = 1"
-    const left = this.parseIdentifier();
+    if (this.currentToken.type === TokenType.ASTERISK) {
+      if (name !== "COUNT") {
+        throw new Error(`${name}(*) is not supported, only COUNT(*)`);
+      }
+      this.nextToken();
+      this.expect(TokenType.RIGHT_PAREN);
+      return {
+        type: "FunctionCall",
+        name,
+        args: [{ type: "Star", table: null }],
+        distinct: false,
+        star: true,
+      };
+    }
 
-    const operator = this.currentToken;
+    // DISTINCT is only meaningful for aggregates, checked when evaluated
+    let distinct = false;
+    if (this.currentToken.type === TokenType.DISTINCT) {
+      this.nextToken();
+      distinct = true;
+    }
 
-    if (
-      ![TokenType.ASSIGN, TokenType.LESS_THAN, TokenType.GREATER_THAN].includes(
-        operator.type
-      )
-    ) {
-      throw new Error(`Invalid operator in WHERE clause: ${operator.type}`);
+    const args = [];
+    if (this.currentToken.type !== TokenType.RIGHT_PAREN) {
+      args.push(...this.parseExpressionList());
     }
+    this.expect(TokenType.RIGHT_PAREN);
 
-    this.nextToken();
+    return { type: "FunctionCall", name, args, distinct, star: false };
+  }
 
-    let right;
-    // Also allow the right side to be a table column (for cross-table filters)
-    if (this.currentToken.type === TokenType.INTEGER) {
-      right = parseInt(this.currentToken.literal);
-      this.nextToken();
-    } else if (this.currentToken.type === TokenType.STRING) {
-      right = this.currentToken.literal;
+  /**
+   * @method parseOverClause
+   * @description Parses an optional OVER ([PARTITION BY expr, ...] [ORDER BY ...])
+   * after a function call, turning the call into a window function.
+   * @param {Object} call - The FunctionCall node just parsed.
+   * @returns {Object} A WindowFunction node, or the call itself when no OVER follows.
+   */
+  parseOverClause(call) {
+    if (this.currentToken.type !== TokenType.OVER) return call;
+    this.nextToken(); // consume OVER
+    this.expect(TokenType.LEFT_PAREN);
+
+    let partitionBy = [];
+    if (this.currentToken.type === TokenType.PARTITION) {
       this.nextToken();
-    } else if (this.currentToken.type === TokenType.IDENTIFIER) {
-      // If the right side is an identifier, it could also have a dot!
-      right = this.parseIdentifier();
-    } else {
-      throw new Error(
-        `Invalid value in WHERE clause: ${this.currentToken.type}`
-      );
+      this.expect(TokenType.BY);
+      partitionBy = this.parseExpressionList();
+    }
+    let orderBy = [];
+    if (this.currentToken.type === TokenType.ORDER) {
+      orderBy = this.parseOrderBy();
     }
+    this.expect(TokenType.RIGHT_PAREN);
 
-    return {
-      type: "WhereClause",
-      left,
-      operator: operator.literal,
-      right,
-    };
+    return { type: "WindowFunction", function: call, partitionBy, orderBy };
   }
 
   /**
    * @method parseInsertStatement
-   * @description Parses INSERT INTO table VALUES (...) syntax.
+   * @description Parses INSERT INTO table [(col, ...)] VALUES (...), (...) and
+   * INSERT INTO table [(col, ...)] SELECT ... syntax, either optionally followed
+   * by an ON CONFLICT clause and a RETURNING list.
    * @returns {Object} AST node for InsertStatement.
    */
   parseInsertStatement() {
     this.expect(TokenType.INSERT);
     this.expect(TokenType.INTO);
     const table = this.expect(TokenType.IDENTIFIER).literal;
-    this.expect(TokenType.VALUES);
 
-    const values = this.parseValueList();
+    // Optional target columns: INSERT INTO t (a, c) VALUES ...
+    let columns = null;
+    if (this.currentToken.type === TokenType.LEFT_PAREN) {
+      this.nextToken();
+      columns = [this.expect(TokenType.IDENTIFIER).literal];
+      while (this.currentToken.type === TokenType.COMMA) {
+        this.nextToken();
+        columns.push(this.expect(TokenType.IDENTIFIER).literal);
+      }
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    // INSERT INTO t [(...)] SELECT ... copies the rows of a query
+    let rows = null;
+    let query = null;
+    if (this.isQueryStart()) {
+      query = this.parseSelectQuery();
+    } else {
+      this.expect(TokenType.VALUES);
+      rows = [this.parseValueList()];
+      while (this.currentToken.type === TokenType.COMMA) {
+        this.nextToken();
+        rows.push(this.parseValueList());
+      }
+    }
+
+    let onConflict = null;
+    if (this.currentToken.type === TokenType.ON) {
+      onConflict = this.parseOnConflict();
+    }
+    const returning = this.parseReturning();
     this.expect(TokenType.SEMICOLON);
 
     return {
       type: "InsertStatement",
       table,
-      values,
+      columns,
+      rows,
+      query,
+      onConflict,
+      returning,
     };
   }
 
+  /**
+   * @method parseReturning
+   * @description Parses the optional RETURNING list that ends an INSERT, UPDATE
+   * or DELETE. It takes the same items as a select list.
+   * @returns {Object[]|null} Select list items, or null without RETURNING.
+   */
+  parseReturning() {
+    if (this.currentToken.type !== TokenType.RETURNING) return null;
+    this.nextToken();
+    return this.parseColumnList();
+  }
+
+  /**
+   * @method parseOnConflict
+   * @description Parses ON CONFLICT [(col, ...)] DO NOTHING and
+   * ON CONFLICT (col, ...) DO UPDATE SET col = expr, ... [WHERE condition]. The
+   * columns name the unique key whose conflicts are handled; DO UPDATE needs them.
+   * @returns {Object} The conflict clause: target columns (or null), action
+   * ("NOTHING" or "UPDATE"), and for DO UPDATE the SET mapping and condition.
+   * @throws {Error} If DO UPDATE is used without conflict columns.
+   */
+  parseOnConflict() {
+    this.expect(TokenType.ON);
+    this.expect(TokenType.CONFLICT);
+
+    let target = null;
+    if (this.currentToken.type === TokenType.LEFT_PAREN) {
+      this.nextToken();
+      target = [this.expect(TokenType.IDENTIFIER).literal];
+      while (this.currentToken.type === TokenType.COMMA) {
+        this.nextToken();
+        target.push(this.expect(TokenType.IDENTIFIER).literal);
+      }
+      this.expect(TokenType.RIGHT_PAREN);
+    }
+
+    this.expectWord("DO");
+    if (this.currentToken.type === TokenType.NOTHING) {
+      this.nextToken();
+      return { target, action: "NOTHING", updates: null, where: null };
+    }
+
+    this.expect(TokenType.UPDATE);
+    if (!target) {
+      throw new Error("ON CONFLICT DO UPDATE requires conflict columns");
+    }
+    this.expect(TokenType.SET);
+    const updates = this.parseUpdates();
+
+    let where = null;
+    if (this.currentToken.type === TokenType.WHERE) {
+      where = this.parseWhereClause();
+    }
+    return { target, action: "UPDATE", updates, where };
+  }
+
   /**
    * @method parseValueList
-   * @description Parses a parenthesized, comma-separated list of literals for INSERT.
-   * @returns {any[]} List of parsed values.
+   * @description Parses a parenthesized, comma-separated list of expressions for
+   * INSERT, e.g. (15, -1, UPPER('x')). They are evaluated when the row is inserted.
+   * @returns {Object[]} List of expression nodes.
    */
   parseValueList() {
     this.expect(TokenType.LEFT_PAREN);
     const values = [];
 
-    values.push(this.parseValue());
+    values.push(this.parseExpression());
 
     while (this.currentToken.type === TokenType.COMMA) {
       this.nextToken();
-      values.push(this.parseValue());
+      values.push(this.parseExpression());
     }
 
     this.expect(TokenType.RIGHT_PAREN);
@@ -273,6 +1207,9 @@ class Parser {
     if (this.currentToken.type === TokenType.INTEGER) {
       value = parseInt(this.currentToken.literal);
       this.nextToken();
+    } else if (this.currentToken.type === TokenType.FLOAT) {
+      value = parseFloat(this.currentToken.literal);
+      this.nextToken();
     } else if (this.currentToken.type === TokenType.STRING) {
       value = this.currentToken.literal;
       this.nextToken();
@@ -306,71 +1243,92 @@ class Parser {
       return this.parseCreateTable();
     } else if (this.currentToken.type === TokenType.INDEX) {
       this.nextToken();
+      const ifNotExists = this.parseIfNotExists();
       const tableName = this.expect(TokenType.IDENTIFIER).literal;
       this.expect(TokenType.LEFT_PAREN);
       const columnName = this.expect(TokenType.IDENTIFIER).literal;
       this.expect(TokenType.RIGHT_PAREN);
       this.expect(TokenType.SEMICOLON);
-      return { type: "CreateIndexStatement", tableName, columnName };
+      return {
+        type: "CreateIndexStatement",
+        tableName,
+        columnName,
+        ifNotExists,
+      };
     } else {
       throw new Error(`Unknown CREATE statement: ${this.currentToken.type}`);
     }
   }
 
+  /**
+   * @method parseIfNotExists
+   * @description Consumes an optional IF NOT EXISTS after CREATE DATABASE, TABLE
+   * or INDEX.
+   * @returns {boolean} Whether the clause was present.
+   */
+  parseIfNotExists() {
+    if (this.currentToken.type !== TokenType.IF) return false;
+    this.nextToken();
+    this.expect(TokenType.NOT);
+    this.expect(TokenType.EXISTS);
+    return true;
+  }
+
   /**
    * @method parseCreateDatabase
    * @returns {Object} AST node for CreateDatabaseStatement.
    */
   parseCreateDatabase() {
     this.expect(TokenType.DATABASE);
+    const ifNotExists = this.parseIfNotExists();
     const name = this.expect(TokenType.IDENTIFIER).literal;
     this.expect(TokenType.SEMICOLON);
 
     return {
       type: "CreateDatabaseStatement",
       name,
+      ifNotExists,
     };
   }
 
   /**
    * @method parseCreateTable
-   * @description Parses table creation syntax including column types and key constraints.
+   * @description Parses table creation syntax including column types, column
+   * constraints and table constraints, or CREATE TABLE name AS query, either
+   * with an optional IF NOT EXISTS.
    * @returns {Object} AST node for CreateTableStatement.
    */
   parseCreateTable() {
     this.expect(TokenType.TABLE);
+    const ifNotExists = this.parseIfNotExists();
     const tableName = this.expect(TokenType.IDENTIFIER).literal;
 
+    // CREATE TABLE name AS SELECT ... takes its columns from the query
+    if (this.currentToken.type === TokenType.AS) {
+      this.nextToken();
+      const query = this.parseSelectQuery();
+      this.expect(TokenType.SEMICOLON);
+      return {
+        type: "CreateTableStatement",
+        name: tableName,
+        ifNotExists,
+        query,
+      };
+    }
+
     this.expect(TokenType.LEFT_PAREN);
     const columns = [];
-    const constraints = { primaryKey: null, foreignKeys: [] };
+    const constraints = {
+      primaryKey: null,
+      foreignKeys: [],
+      unique: [],
+      checks: [],
+    };
 
     while (this.currentToken.type !== TokenType.RIGHT_PAREN) {
-      // Check for Table Constraints (PRIMARY KEY / FOREIGN KEY)
-      if (this.currentToken.type === TokenType.PRIMARY) {
-        this.nextToken();
-        this.expect(TokenType.KEY);
-        this.expect(TokenType.LEFT_PAREN);
-        constraints.primaryKey = this.expect(TokenType.IDENTIFIER).literal;
-        this.expect(TokenType.RIGHT_PAREN);
-      } else if (this.currentToken.type === TokenType.FOREIGN) {
-        this.nextToken();
-        this.expect(TokenType.KEY);
-        this.expect(TokenType.LEFT_PAREN);
-        const col = this.expect(TokenType.IDENTIFIER).literal;
-        this.expect(TokenType.RIGHT_PAREN);
-        this.expect(TokenType.REFERENCES);
-        const refTable = this.expect(TokenType.IDENTIFIER).literal;
-        this.expect(TokenType.LEFT_PAREN);
-        const refCol = this.expect(TokenType.IDENTIFIER).literal;
-        this.expect(TokenType.RIGHT_PAREN);
-        constraints.foreignKeys.push({ column: col, refTable, refCol });
-      } else {
-        // Parse standard Column Definition: name type
-        const colName = this.expect(TokenType.IDENTIFIER).literal;
-        const colType = this.currentToken.type; // e.g., INT, TEXT
-        this.nextToken();
-        columns.push({ name: colName, type: colType });
+      // Table constraints first, anything else is a column definition
+      if (!this.parseTableConstraint(constraints)) {
+        columns.push(this.parseColumnDefinition(constraints));
       }
 
       if (this.currentToken.type === TokenType.COMMA) {
@@ -386,11 +1344,336 @@ class Parser {
     return {
       type: "CreateTableStatement",
       name: tableName,
+      ifNotExists,
       columns,
       constraints,
     };
   }
 
+  /**
+   * @method parseColumnDefinition
+   * @description Parses "name type" followed by any column constraints:
+   * [NOT] NULL, DEFAULT expr, UNIQUE, PRIMARY KEY and CHECK (condition), each
+   * optionally named with CONSTRAINT name. UNIQUE, PRIMARY KEY and CHECK are
+   * added to the table constraints.
+   * @param {Object} constraints - Table constraints being collected.
+   * @returns {{name: string, type: string, notNull: boolean, default: Object|null}}
+   * The column definition.
+   * @throws {Error} If CONSTRAINT name is not followed by a constraint.
+   */
+  parseColumnDefinition(constraints) {
+    const name = this.expect(TokenType.IDENTIFIER).literal;
+    const type = this.currentToken.type; // e.g., INT, TEXT
+    this.nextToken();
+    const column = { name, type, notNull: false, default: null };
+
+    for (;;) {
+      let constraintName = null;
+      if (this.currentToken.type === TokenType.CONSTRAINT) {
+        this.nextToken();
+        constraintName = this.expect(TokenType.IDENTIFIER).literal;
+      }
+
+      if (this.currentToken.type === TokenType.NOT) {
+        this.nextToken();
+        this.expect(TokenType.NULL);
+        column.notNull = true;
+      } else if (this.currentToken.type === TokenType.NULL) {
+        this.nextToken();
+      } else if (this.currentToken.type === TokenType.DEFAULT) {
+        this.nextToken();
+        // Stops before comparisons, so "DEFAULT 0 NOT NULL" reads as expected
+        column.default = this.parseConcatExpression();
+      } else if (this.currentToken.type === TokenType.UNIQUE) {
+        this.nextToken();
+        constraints.unique.push({ name: constraintName, columns: [name] });
+      } else if (this.currentToken.type === TokenType.PRIMARY) {
+        this.nextToken();
+        this.expectWord("KEY");
+        this.setPrimaryKey(constraints, name);
+      } else if (this.currentToken.type === TokenType.CHECK) {
+        constraints.checks.push({
+          name: constraintName,
+          expression: this.parseCheck(),
+        });
+      } else if (constraintName) {
+        throw new Error(
+          `Expected a constraint after CONSTRAINT ${constraintName}`
+        );
+      } else {
+        return column;
+      }
+    }
+  }
+
+  /**
+   * @method parseTableConstraint
+   * @description Parses one table constraint, optionally named with
+   * CONSTRAINT name: PRIMARY KEY (col), FOREIGN KEY (col) REFERENCES t(col),
+   * UNIQUE (col, ...) or CHECK (condition).
+   * @param {Object} constraints - Table constraints being collected.
+   * @returns {boolean} False, consuming nothing, if no constraint starts here.
+   * @throws {Error} If CONSTRAINT name is not followed by a constraint.
+   */
+  parseTableConstraint(constraints) {
+    let name = null;
+    if (this.currentToken.type === TokenType.CONSTRAINT) {
+      this.nextToken();
+      name = this.expect(TokenType.IDENTIFIER).literal;
+    }
+
+    if (this.currentToken.type === TokenType.PRIMARY) {
+      this.setPrimaryKey(constraints, this.parsePrimaryKey());
+    } else if (this.currentToken.type === TokenType.FOREIGN) {
+      constraints.foreignKeys.push(this.parseForeignKey());
+    } else if (this.currentToken.type === TokenType.UNIQUE) {
+      this.nextToken();
+      this.expect(TokenType.LEFT_PAREN);
+      const columns = [this.expect(TokenType.IDENTIFIER).literal];
+      while (this.currentToken.type === TokenType.COMMA) {
+        this.nextToken();
+        columns.push(this.expect(TokenType.IDENTIFIER).literal);
+      }
+      this.expect(TokenType.RIGHT_PAREN);
+      constraints.unique.push({ name, columns });
+    } else if (this.currentToken.type === TokenType.CHECK) {
+      constraints.checks.push({ name, expression: this.parseCheck() });
+    } else if (name) {
+      throw new Error(`Expected a constraint after CONSTRAINT ${name}`);
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @method setPrimaryKey
+   * @param {Object} constraints - Table constraints being collected.
+   * @param {string} column - The primary key column.
+   * @throws {Error} If a primary key was already given.
+   */
+  setPrimaryKey(constraints, column) {
+    if (constraints.primaryKey) {
+      throw new Error("Multiple primary keys are not allowed");
+    }
+    constraints.primaryKey = column;
+  }
+
+  /**
+   * @method parseCheck
+   * @description Parses CHECK (condition).
+   * @returns {Object} The condition expression.
+   */
+  parseCheck() {
+    this.expect(TokenType.CHECK);
+    this.expect(TokenType.LEFT_PAREN);
+    const expression = this.parseExpression();
+    this.expect(TokenType.RIGHT_PAREN);
+    return expression;
+  }
+
+  /**
+   * @method parsePrimaryKey
+   * @description Parses a PRIMARY KEY (col) table constraint.
+   * @returns {string} The key column.
+   */
+  parsePrimaryKey() {
+    this.expect(TokenType.PRIMARY);
+    this.expectWord("KEY");
+    this.expect(TokenType.LEFT_PAREN);
+    const column = this.expect(TokenType.IDENTIFIER).literal;
+    this.expect(TokenType.RIGHT_PAREN);
+    return column;
+  }
+
+  /**
+   * @method parseForeignKey
+   * @description Parses a FOREIGN KEY (col) REFERENCES table(col) table constraint.
+   * @returns {{column: string, refTable: string, refCol: string}} The foreign key.
+   */
+  parseForeignKey() {
+    this.expect(TokenType.FOREIGN);
+    this.expectWord("KEY");
+    this.expect(TokenType.LEFT_PAREN);
+    const column = this.expect(TokenType.IDENTIFIER).literal;
+    this.expect(TokenType.RIGHT_PAREN);
+    this.expect(TokenType.REFERENCES);
+    const refTable = this.expect(TokenType.IDENTIFIER).literal;
+    this.expect(TokenType.LEFT_PAREN);
+    const refCol = this.expect(TokenType.IDENTIFIER).literal;
+    this.expect(TokenType.RIGHT_PAREN);
+    return { column, refTable, refCol };
+  }
+
+  /**
+   * @method parseAlterStatement
+   * @description Parses ALTER TABLE name followed by one change:
+   * ADD [COLUMN] <column definition>, DROP [COLUMN] col,
+   * RENAME [COLUMN] col TO new, RENAME TO new, ALTER [COLUMN] col TYPE type,
+   * ADD <table constraint>, DROP PRIMARY KEY, DROP FOREIGN KEY (col) or
+   * DROP CONSTRAINT name.
+   * @returns {Object} AST node for AlterTableStatement, whose action describes
+   * the change.
+   */
+  parseAlterStatement() {
+    this.expect(TokenType.ALTER);
+    this.expect(TokenType.TABLE);
+    const table = this.expect(TokenType.IDENTIFIER).literal;
+    const skipColumn = () => {
+      if (this.currentToken.type === TokenType.COLUMN) this.nextToken();
+    };
+
+    let action;
+    if (this.currentToken.type === TokenType.ADD) {
+      this.nextToken();
+      const constraints = {
+        primaryKey: null,
+        foreignKeys: [],
+        unique: [],
+        checks: [],
+      };
+      if (this.parseTableConstraint(constraints)) {
+        if (constraints.primaryKey) {
+          action = { type: "AddPrimaryKey", column: constraints.primaryKey };
+        } else if (constraints.foreignKeys.length > 0) {
+          action = {
+            type: "AddForeignKey",
+            foreignKey: constraints.foreignKeys[0],
+          };
+        } else if (constraints.unique.length > 0) {
+          action = { type: "AddUnique", constraint: constraints.unique[0] };
+        } else {
+          action = { type: "AddCheck", constraint: constraints.checks[0] };
+        }
+      } else {
+        skipColumn();
+        const column = this.parseColumnDefinition(constraints);
+        action = { type: "AddColumn", column, constraints };
+      }
+    } else if (this.currentToken.type === TokenType.DROP) {
+      this.nextToken();
+      if (this.currentToken.type === TokenType.PRIMARY) {
+        this.nextToken();
+        this.expectWord("KEY");
+        action = { type: "DropPrimaryKey" };
+      } else if (this.currentToken.type === TokenType.FOREIGN) {
+        this.nextToken();
+        this.expectWord("KEY");
+        this.expect(TokenType.LEFT_PAREN);
+        const column = this.expect(TokenType.IDENTIFIER).literal;
+        this.expect(TokenType.RIGHT_PAREN);
+        action = { type: "DropForeignKey", column };
+      } else if (this.currentToken.type === TokenType.CONSTRAINT) {
+        this.nextToken();
+        const name = this.expect(TokenType.IDENTIFIER).literal;
+        action = { type: "DropConstraint", name };
+      } else {
+        skipColumn();
+        const name = this.expect(TokenType.IDENTIFIER).literal;
+        action = { type: "DropColumn", name };
+      }
+    } else if (this.currentToken.type === TokenType.RENAME) {
+      this.nextToken();
+      // TO is not a keyword either: "RENAME TO new;" renames the table, while
+      // "RENAME to TO new;" renames a column called "to"
+      const afterName = this.tokens[this.currentTokenIndex + 2];
+      if (
+        this.isWord("TO") &&
+        afterName &&
+        afterName.type === TokenType.SEMICOLON
+      ) {
+        this.nextToken();
+        const newName = this.expect(TokenType.IDENTIFIER).literal;
+        action = { type: "RenameTable", newName };
+      } else {
+        skipColumn();
+        const name = this.expect(TokenType.IDENTIFIER).literal;
+        this.expectWord("TO");
+        const newName = this.expect(TokenType.IDENTIFIER).literal;
+        action = { type: "RenameColumn", name, newName };
+      }
+    } else if (this.currentToken.type === TokenType.ALTER) {
+      this.nextToken();
+      skipColumn();
+      const name = this.expect(TokenType.IDENTIFIER).literal;
+      // TYPE is not a keyword, so "type" stays usable as a column name
+      this.expectWord("TYPE");
+      const dataType = this.currentToken.literal.toUpperCase();
+      this.nextToken();
+      action = { type: "AlterColumnType", name, dataType };
+    } else {
+      throw new Error(`Unknown ALTER TABLE action: ${this.currentToken.type}`);
+    }
+
+    this.expect(TokenType.SEMICOLON);
+    return { type: "AlterTableStatement", table, action };
+  }
+
+  /**
+   * @method parseDropStatement
+   * @description Parses DROP DATABASE [IF EXISTS] name, DROP TABLE [IF EXISTS]
+   * name [CASCADE] and DROP INDEX table(column), the counterpart of CREATE INDEX.
+   * @returns {Object} AST node for DropDatabaseStatement, DropTableStatement or
+   * DropIndexStatement.
+   */
+  parseDropStatement() {
+    this.expect(TokenType.DROP);
+
+    if (this.currentToken.type === TokenType.INDEX) {
+      this.nextToken();
+      const tableName = this.expect(TokenType.IDENTIFIER).literal;
+      this.expect(TokenType.LEFT_PAREN);
+      const columnName = this.expect(TokenType.IDENTIFIER).literal;
+      this.expect(TokenType.RIGHT_PAREN);
+      this.expect(TokenType.SEMICOLON);
+      return { type: "DropIndexStatement", tableName, columnName };
+    }
+
+    let type;
+    if (this.currentToken.type === TokenType.DATABASE) {
+      type = "DropDatabaseStatement";
+    } else if (this.currentToken.type === TokenType.TABLE) {
+      type = "DropTableStatement";
+    } else {
+      throw new Error(`Unknown DROP statement: ${this.currentToken.type}`);
+    }
+    this.nextToken();
+
+    let ifExists = false;
+    if (this.currentToken.type === TokenType.IF) {
+      this.nextToken();
+      this.expect(TokenType.EXISTS);
+      ifExists = true;
+    }
+    const name = this.expect(TokenType.IDENTIFIER).literal;
+
+    if (type === "DropDatabaseStatement") {
+      this.expect(TokenType.SEMICOLON);
+      return { type, name, ifExists };
+    }
+
+    let cascade = false;
+    if (this.currentToken.type === TokenType.CASCADE) {
+      this.nextToken();
+      cascade = true;
+    }
+    this.expect(TokenType.SEMICOLON);
+    return { type, name, ifExists, cascade };
+  }
+
+  /**
+   * @method parseTruncateStatement
+   * @description Parses TRUNCATE [TABLE] name.
+   * @returns {Object} AST node for TruncateStatement.
+   */
+  parseTruncateStatement() {
+    this.expect(TokenType.TRUNCATE);
+    if (this.currentToken.type === TokenType.TABLE) this.nextToken();
+    const name = this.expect(TokenType.IDENTIFIER).literal;
+    this.expect(TokenType.SEMICOLON);
+    return { type: "TruncateStatement", name };
+  }
+
   /**
    * @method parseUseStatement
    * @returns {Object} AST node for UseStatement.
@@ -429,7 +1712,8 @@ class Parser {
 
   /**
    * @method parseUpdateStatement
-   * @description Parses UPDATE table SET col = val ... WHERE ... syntax.
+   * @description Parses UPDATE table SET col = val ... WHERE ... [RETURNING ...]
+   * syntax.
    * @returns {Object} AST node for UpdateStatement.
    */
   parseUpdateStatement() {
@@ -444,6 +1728,7 @@ class Parser {
       whereClause = this.parseWhereClause();
     }
 
+    const returning = this.parseReturning();
     this.expect(TokenType.SEMICOLON);
 
     return {
@@ -451,28 +1736,33 @@ class Parser {
       table,
       updates,
       where: whereClause,
+      returning,
     };
   }
 
   /**
    * @method parseUpdates
-   * @description Helper to parse the SET portion of an UPDATE statement.
-   * @returns {Object} Mapping of column names to new values.
+   * @description Helper to parse the SET portion of an UPDATE statement. Each new
+   * value is an expression, so it may refer to the row's current values
+   * ("balance = balance - 10"). Assignments are kept as written, so the
+   * Database can reject a column that is set twice.
+   * @returns {Array<[string, Object]>} Column name and value expression pairs,
+   * in order.
    */
   parseUpdates() {
-    const updates = {};
+    const updates = [];
 
     // Parse first update
     const column = this.expect(TokenType.IDENTIFIER).literal;
     this.expect(TokenType.ASSIGN);
-    updates[column] = this.parseValue();
+    updates.push([column, this.parseExpression()]);
 
     // Parse additional updates if any
     while (this.currentToken.type === TokenType.COMMA) {
       this.nextToken();
       const col = this.expect(TokenType.IDENTIFIER).literal;
       this.expect(TokenType.ASSIGN);
-      updates[col] = this.parseValue();
+      updates.push([col, this.parseExpression()]);
     }
 
     return updates;
@@ -480,7 +1770,7 @@ class Parser {
 
   /**
    * @method parseDeleteStatement
-   * @description Parses DELETE FROM table WHERE ... syntax.
+   * @description Parses DELETE FROM table WHERE ... [RETURNING ...] syntax.
    * @returns {Object} AST node for DeleteStatement.
    */
   parseDeleteStatement() {
@@ -493,12 +1783,14 @@ class Parser {
       whereClause = this.parseWhereClause();
     }
 
+    const returning = this.parseReturning();
     this.expect(TokenType.SEMICOLON);
 
     return {
       type: "DeleteStatement",
       table,
       where: whereClause,
+      returning,
     };
   }
 
@@ -58,13 +58,14 @@ app.post("/api/index/:table/:column", (req, res) => {
 /**
  * 2. JOIN: Users and Orders
  * @route GET /api/reports/user-orders
- * @description Combines data where users.id = orders.user_id using a standard SQL JOIN.
+ * @description Combines data where users.id = orders.user_id using a LEFT JOIN, so
+ * users without orders are still listed (with a NULL product and price).
  */
 app.get("/api/reports/user-orders", (req, res) => {
   try {
     db.execute("USE audo;"); // Ensure database is selected
     const result = db.execute(
-      "SELECT name, product, price FROM users JOIN orders ON users.id = orders.user_id;"
+      "SELECT name, product, price FROM users LEFT JOIN orders ON users.id = orders.user_id;"
     );
     res.json(result);
   } catch (err) {
@@ -125,11 +126,15 @@ app.post("/api/users", (req, res) => {
 
 /**
  * @route GET /api/users
- * @description READ: Fetches all users stored in the AudoDB instance.
+ * @description READ: Fetches users stored in the AudoDB instance. Pass
+ * ?limit=n&offset=m to page through them instead of loading the whole table.
  */
 app.get("/api/users", (req, res) => {
+  const limit = parseInt(req.query.limit);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
   try {
-    const users = db.execute("SELECT * FROM users;");
+    const page = limit >= 0 ? ` LIMIT ${limit} OFFSET ${offset}` : "";
+    const users = db.execute(`SELECT * FROM users${page};`);
     res.json(users);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -173,23 +178,17 @@ app.delete("/api/users/:id", (req, res) => {
 // ==========================================
 /**
  * @function initSchema
- * @description Checks for the existence of required databases and tables.
- * Creates them and inserts seed data if they are missing.
+ * @description Creates the required database and tables if they are missing,
+ * and inserts seed data into an empty users table.
  */
 const initSchema = () => {
   try {
-    db.execute("CREATE DATABASE audo;");
+    db.execute("CREATE DATABASE IF NOT EXISTS audo;");
     db.execute("USE audo;");
+    db.execute(
+      "CREATE TABLE IF NOT EXISTS users (id INT, name TEXT, email TEXT);"
+    );
 
-    // Check if the result is actually an error string
-    const checkTable = db.execute("SELECT * FROM users;");
-
-    if (typeof checkTable === "string" && checkTable.startsWith("Error")) {
-      console.log("Users table missing, creating now...");
-      db.execute("CREATE TABLE users (id INT, name TEXT, email TEXT);");
-    }
-
-    // Now check length safely
     const users = db.execute("SELECT * FROM users;");
     if (Array.isArray(users) && users.length === 0) {
       db.execute(
@@ -198,13 +197,9 @@ const initSchema = () => {
       console.log("Seed data inserted.");
     }
 
-    // Repeat for orders...
-    const checkOrders = db.execute("SELECT * FROM orders;");
-    if (typeof checkOrders === "string" && checkOrders.startsWith("Error")) {
-      db.execute(
-        "CREATE TABLE orders (id INT, user_id INT, product TEXT, price INT);"
-      );
-    }
+    db.execute(
+      "CREATE TABLE IF NOT EXISTS orders (id INT, user_id INT, product TEXT, price INT);"
+    );
   } catch (err) {
     console.error("Initialization failed:", err.message);
   }